@@ -0,0 +1,92 @@
+// Local OpenAI-compatible stub server for testing the LLM provider layer
+// Usage: node scripts/llm-stub-server.mjs [port]
+// Then pick "Локальный сервер" in the options page with
+// Base URL http://localhost:<port>/v1
+
+import http from "node:http";
+
+const port = Number(process.argv[2] || process.env.PORT || 11434);
+
+// Fixed answer matching COURSE_STRUCTURE_SCHEMA
+const STRUCTURE = {
+  sections: [
+    {
+      name: "Введение в дисциплину",
+      themes: [
+        { name: "Основные понятия", work_type: "лекция", description: null },
+        {
+          name: "Знакомство с инструментами",
+          work_type: "лабораторная",
+          description: null,
+        },
+      ],
+    },
+    {
+      name: "Базовые методы",
+      themes: [
+        { name: "Обзор методов", work_type: "лекция", description: null },
+        {
+          name: "Применение методов",
+          work_type: "лабораторная",
+          description: null,
+        },
+      ],
+    },
+  ],
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === "GET" && req.url === "/v1/models") {
+    sendJson(res, 200, { data: [{ id: "stub-model", object: "model" }] });
+    return;
+  }
+
+  if (req.method !== "POST" || req.url !== "/v1/chat/completions") {
+    sendJson(res, 404, { error: { message: `Unknown route ${req.url}` } });
+    return;
+  }
+
+  let raw = "";
+  req.on("data", (chunk) => (raw += chunk));
+  req.on("end", () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      sendJson(res, 400, { error: { message: "Invalid JSON body" } });
+      return;
+    }
+
+    console.log(
+      `📥 model=${body.model} temperature=${body.temperature} ` +
+        `messages=${body.messages?.length} ` +
+        `response_format=${body.response_format?.type || "none"} ` +
+        `auth=${req.headers.authorization ? "yes" : "no"}`
+    );
+
+    sendJson(res, 200, {
+      id: `stub-${Date.now()}`,
+      object: "chat.completion",
+      model: body.model,
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content: JSON.stringify(STRUCTURE) },
+          finish_reason: "stop",
+        },
+      ],
+    });
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🤖 LLM stub server listening on http://localhost:${port}/v1`);
+});
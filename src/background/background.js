@@ -1,20 +1,100 @@
 // Background Service Worker for ITMO Discipline Evaluator
 // Handles all API operations, token management, and secure communications
 
-import { MESSAGE_TYPES, createResponse } from "../types/messageTypes.js";
+import {
+  MESSAGE_TYPES,
+  CHAPTER_CREATION_MODES,
+  BATCH_STATUS,
+  BATCH_JOB_STORAGE_KEY,
+  ITMO_TRANSPORTS,
+  SECTION_ACTIONS,
+  EVALUATION_HISTORY_STORAGE_KEY,
+  ERROR_CODES,
+  createResponse,
+} from "../types/messageTypes.js";
 import {
   validateToken as validateJwtToken,
   getISUFromToken,
+  isTokenUsable,
 } from "../utils/tokenUtils.js";
 import { SettingsManager, Settings } from "../utils/settingsManager.js";
-import { ENDPOINT } from "../constants/index.js";
+import {
+  buildCourseStructureSchema,
+  CHAPTER_COMPLEXITY_RANGE,
+  CHAPTER_COMPLEXITY_SCHEMA,
+  FILLER_THEMES_SCHEMA,
+  STRUCTURE_WORK_TYPES,
+  parseStructureJson,
+  validateChapterComplexity,
+  validateFillerThemes,
+  validateCourseStructure,
+  renderStructureText,
+} from "../utils/structureSchema.js";
+import {
+  resolveLlmConfig,
+  createChatCompletion,
+} from "../services/llmProvider.js";
+import { buildAnnotations } from "../utils/annotations.js";
+import { aggregateEvaluationResults } from "../utils/metrics.js";
+import {
+  AUTO_REFERENCE_COMBINED_COUNT,
+  AUTO_REFERENCE_MIN_SCORE,
+  AUTO_REFERENCE_MODES,
+  buildProgramSearchParams,
+  combineCourseTexts,
+  describeReferenceChoice,
+  MAX_GENERATION_EXAMPLES,
+  matchesYear,
+  rankPrograms,
+} from "../utils/programSearch.js";
+import {
+  buildStrategyPrompt,
+  PROMPT_STRATEGIES,
+} from "../utils/promptStrategies.js";
+import {
+  describeSelfStudySplit,
+  expectedThemeCount,
+  resolveGranularity,
+  resolveSelfStudyMode,
+  solveWorkload,
+} from "../utils/workloadSolver.js";
+import {
+  annotateWorkTypes,
+  findWorkTypeForLabel,
+  isSelfStudyWorkType,
+  isSingleThemeWorkType,
+  SELF_STUDY_LABEL,
+} from "../utils/workTypeMapping.js";
+import { ENDPOINT, EDUCATION_LEVELS } from "../constants/index.js";
 
 // Secure storage keys
 const STORAGE_KEYS = {
   ITMO_TOKEN: "itmoToken",
   OPENAI_KEY: "openaiKey", // Will be session-only, not persistent
   USER_PREFERENCES: "userPreferences",
+  EVALUATION_HISTORY: EVALUATION_HISTORY_STORAGE_KEY, // + ":<disciplineId>"
+  BATCH_JOB: BATCH_JOB_STORAGE_KEY,
+  ITMO_CACHE: "itmoCache", // + ":<host>:<kind>:<id>"
+};
+
+// Evaluation runs kept per discipline
+const MAX_HISTORY_ENTRIES = 50;
+
+// Parallel ITMO + /evaluate requests of a batch job
+const BATCH_DEFAULT_CONCURRENCY = 3;
+const BATCH_MAX_CONCURRENCY = 8;
+
+// ITMO read cache: fresh entries are served without a request, older ones
+// only when the request fails (offline); entries are dropped after a week
+const ITMO_CACHE_TTL = {
+  info: 30 * 60 * 1000,
+  chapters: 5 * 60 * 1000,
+  search: 30 * 60 * 1000,
 };
+const ITMO_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Candidate chapter structures loaded in parallel for ranking
+const SIMILAR_FETCH_CONCURRENCY = 3;
 
 // API Base URLs
 function getApiBaseUrl(domain) {
@@ -147,23 +227,25 @@ class TokenManager {
       !!providedToken
     );
 
-    // 1. Use provided token if available
-    if (providedToken) {
+    // 1. Use provided token if available and not expired
+    if (isTokenUsable(providedToken)) {
       console.log("✅ Using provided token");
       return providedToken;
     }
+    if (providedToken) console.log("⌛ Provided token is expired");
 
     // 2. Try stored token
     const storedToken = await this.getToken();
-    if (storedToken) {
+    if (isTokenUsable(storedToken)) {
       console.log("✅ Using stored token");
       return storedToken;
     }
+    if (storedToken) console.log("⌛ Stored token is expired");
 
     // 3. Try to get from content script (which has direct access to page cookies)
     console.log("📡 Trying to get token from content script...");
     const contentToken = await this.getTokenFromContentScript();
-    if (contentToken) {
+    if (isTokenUsable(contentToken)) {
       console.log("✅ Got token from content script, storing for future use");
       await this.storeToken(contentToken);
       return contentToken;
@@ -173,7 +255,7 @@ class TokenManager {
     if (domain) {
       console.log("🍪 Trying to get token from cookies API...");
       const cookieToken = await this.getTokenFromItmoCookies(domain);
-      if (cookieToken) {
+      if (isTokenUsable(cookieToken)) {
         console.log("✅ Got token from cookies API, storing for future use");
         await this.storeToken(cookieToken);
         return cookieToken;
@@ -186,80 +268,316 @@ class TokenManager {
     return null;
   }
 
+  // Token for an ITMO call; a stale stored token is replaced by a fresh one
+  // from the page cookies, TOKEN_EXPIRED when there is none
+  static async getValidToken(domain, providedToken = null) {
+    const token = await this.getTokenWithFallback(domain, providedToken);
+    if (token) return token;
+
+    const hadToken = Boolean(providedToken || (await this.getToken()));
+    throw createTokenError(
+      hadToken ? ERROR_CODES.TOKEN_EXPIRED : ERROR_CODES.INVALID_TOKEN
+    );
+  }
+
   static async validateToken(token) {
     return validateJwtToken(token);
   }
 }
 
-// ITMO API Service - Now uses content script proxy for session cookies access
+function createTokenError(code) {
+  const error = new Error(
+    code === ERROR_CODES.TOKEN_EXPIRED
+      ? "❌ Срок действия ITMO токена истёк. Обновите страницу my.itmo.ru (войдите заново) или токен в настройках"
+      : "❌ ITMO токен не найден. Откройте my.itmo.ru или укажите токен в настройках"
+  );
+  error.code = code;
+  return error;
+}
+
+// ITMO Cache Service - /info, chapters and program search results
+class ItmoCacheService {
+  static key(domain, kind, id) {
+    const baseUrl = getApiBaseUrl(domain || "") || "https://my.itmo.ru";
+    return `${STORAGE_KEYS.ITMO_CACHE}:${new URL(baseUrl).host}:${kind}:${id}`;
+  }
+
+  // options.refresh skips a fresh entry (the ITMO page may have changed it),
+  // a stored entry is still used if the request fails
+  static async getOrFetch(domain, kind, id, fetcher, options = {}) {
+    const key = this.key(domain, kind, id);
+    const { [key]: entry } = await chrome.storage.local.get([key]);
+
+    if (
+      entry &&
+      !options.refresh &&
+      Date.now() - entry.storedAt < ITMO_CACHE_TTL[kind]
+    ) {
+      return entry.value;
+    }
+
+    try {
+      const value = await fetcher();
+      if (value != null) {
+        await chrome.storage.local.set({
+          [key]: { value, storedAt: Date.now() },
+        });
+      }
+      return value;
+    } catch (error) {
+      // Only a failed fetch or a server error means the API is unreachable;
+      // API answers (404, 422...) and coded errors (token, tab) are not
+      const offline =
+        !error.code && (error instanceof TypeError || error.status >= 500);
+      if (!entry || !offline) throw error;
+      console.warn(`📦 Using cached ${kind} ${id} (request failed):`, error);
+      return entry.value;
+    }
+  }
+
+  // After chapter writes of the discipline
+  static async invalidateChapters(domain, disciplineId) {
+    await chrome.storage.local.remove([
+      this.key(domain, "chapters", disciplineId),
+    ]);
+  }
+
+  static async prune() {
+    const stored = await chrome.storage.local.get(null);
+    const expired = Object.keys(stored).filter(
+      (key) =>
+        key.startsWith(`${STORAGE_KEYS.ITMO_CACHE}:`) &&
+        Date.now() - stored[key].storedAt > ITMO_CACHE_MAX_AGE
+    );
+    if (expired.length) await chrome.storage.local.remove(expired);
+  }
+}
+
+// ITMO API Service - calls the constructor API either directly from the
+// worker with the cookie token or through the content script proxy, which
+// needs an open ITMO tab (see ITMO_TRANSPORTS)
 class ItmoApiService {
+  // Active tab when it is an ITMO page, otherwise any open ITMO tab
+  // (batch evaluation runs from an extension page)
+  static async findItmoTab() {
+    const isItmo = (tab) =>
+      tab?.url &&
+      (tab.url.includes("my.itmo.ru") || tab.url.includes("my.itmo.su"));
+
+    const [activeTab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    if (isItmo(activeTab)) return activeTab;
+
+    const itmoTabs = await chrome.tabs.query({
+      url: ["https://my.itmo.ru/*", "https://dev.my.itmo.su/*"],
+    });
+    if (itmoTabs.length > 0) return itmoTabs[0];
+
+    const error = new Error(
+      activeTab ? "❌ Not on ITMO domain" : "❌ No active tab found"
+    );
+    error.code = ERROR_CODES.UNKNOWN_DOMAIN;
+    throw error;
+  }
+
+  // Entry point for every ITMO call. options: { transport, domain, token }
+  static async request(
+    method,
+    endpoint,
+    disciplineId,
+    body = null,
+    options = {}
+  ) {
+    const { transport = ITMO_TRANSPORTS.AUTO, domain, token } = options;
+
+    if (transport === ITMO_TRANSPORTS.PROXY) {
+      return this.callContentScriptProxy(
+        method,
+        endpoint,
+        disciplineId,
+        body,
+        token
+      );
+    }
+    if (transport === ITMO_TRANSPORTS.DIRECT) {
+      return this.callDirect(
+        method,
+        endpoint,
+        disciplineId,
+        body,
+        domain,
+        token
+      );
+    }
+
+    try {
+      return await this.callDirect(
+        method,
+        endpoint,
+        disciplineId,
+        body,
+        domain,
+        token
+      );
+    } catch (error) {
+      // API errors other than 403 are real answers, not transport problems;
+      // a missing, expired or revoked token is the same for the content script
+      const tokenError = [
+        ERROR_CODES.INVALID_TOKEN,
+        ERROR_CODES.TOKEN_EXPIRED,
+      ].includes(error.code);
+      if (tokenError || (error.status && error.status !== 403)) {
+        throw error;
+      }
+      console.log("🔁 Direct ITMO call failed, using content script:", error);
+      try {
+        return await this.callContentScriptProxy(
+          method,
+          endpoint,
+          disciplineId,
+          body,
+          token
+        );
+      } catch (proxyError) {
+        // Without an ITMO tab the direct failure is the real cause
+        throw proxyError.code === ERROR_CODES.UNKNOWN_DOMAIN
+          ? error
+          : proxyError;
+      }
+    }
+  }
+
+  // Chapter writes; a failed one may still have changed something, so the
+  // cached chapters are dropped either way
+  static async writeRequest(method, endpoint, disciplineId, body, options) {
+    try {
+      return await this.request(method, endpoint, disciplineId, body, options);
+    } finally {
+      await ItmoCacheService.invalidateChapters(options.domain, disciplineId);
+    }
+  }
+
+  // Same request as the content script makes, without needing a tab
+  static async callDirect(
+    method,
+    endpoint,
+    disciplineId,
+    body,
+    domain,
+    providedToken = null
+  ) {
+    // Without a page URL (batch jobs) the production constructor is used,
+    // its cookies included
+    const baseUrl = getApiBaseUrl(domain || "") || "https://my.itmo.ru";
+    const token = await TokenManager.getValidToken(baseUrl, providedToken);
+    const url = `${baseUrl}${endpoint}`.replace("{disciplineId}", disciplineId);
+    console.log("🌐 Background making direct request to:", url);
+
+    const requestOptions = {
+      method: method || "GET",
+      headers: createItmoHeaders(token),
+      credentials: "include",
+    };
+    if (body && (method === "POST" || method === "PUT")) {
+      requestOptions.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(url, requestOptions);
+    if (response.status === 401) {
+      // Revoked before `exp`: drop it so the next call re-reads cookies
+      await TokenManager.storeToken(null);
+      throw createTokenError(ERROR_CODES.TOKEN_EXPIRED);
+    }
+    if (!response.ok) {
+      const text = await response.text();
+      const error = new Error(`ITMO API Error ${response.status}: ${text}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    // DELETE and some POST endpoints answer with an empty body
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
   static async callContentScriptProxy(
     method,
     endpoint,
     disciplineId,
-    body = null
+    body = null,
+    providedToken = null
   ) {
+    const tab = await this.findItmoTab();
+    // Checked before every call, so an expired token fails here with
+    // TOKEN_EXPIRED instead of a 401 from the ITMO API
+    const token = await TokenManager.getValidToken(tab.url, providedToken);
+
     return new Promise((resolve, reject) => {
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (!tabs || tabs.length === 0) {
-          reject(new Error("❌ No active tab found"));
+      const message = {
+        type: "ITMO_API_PROXY",
+        data: { method, endpoint, disciplineId, body, token },
+      };
+      console.log("📡 Background sending to content script:", message);
+
+      chrome.tabs.sendMessage(tab.id, message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(
+            new Error(
+              `Content script error: ${chrome.runtime.lastError.message}`
+            )
+          );
           return;
         }
 
-        const tab = tabs[0];
-        if (
-          !tab.url ||
-          (!tab.url.includes("my.itmo.ru") && !tab.url.includes("my.itmo.su"))
-        ) {
-          reject(new Error("❌ Not on ITMO domain"));
-          return;
+        if (response && response.success) {
+          resolve(response.data);
+        } else if (response?.error?.startsWith("ITMO API Error 401")) {
+          // Revoked before `exp`: drop it so the next call re-reads cookies
+          TokenManager.storeToken(null);
+          reject(createTokenError(ERROR_CODES.TOKEN_EXPIRED));
+        } else if (response?.networkError) {
+          // The page's fetch itself failed, as a direct call would
+          reject(new TypeError(response.error));
+        } else {
+          const error = new Error(
+            response?.error || "No response from content script"
+          );
+          const status = response?.error?.match(/^ITMO API Error (\d+)/);
+          if (status) error.status = Number(status[1]);
+          reject(error);
         }
-
-        const message = {
-          type: "ITMO_API_PROXY",
-          data: { method, endpoint, disciplineId, body },
-        };
-        console.log("📡 Background sending to content script:", message);
-
-        chrome.tabs.sendMessage(tab.id, message, (response) => {
-          if (chrome.runtime.lastError) {
-            reject(
-              new Error(
-                `Content script error: ${chrome.runtime.lastError.message}`
-              )
-            );
-            return;
-          }
-
-          if (response && response.success) {
-            resolve(response.data);
-          } else {
-            reject(
-              new Error(response?.error || "No response from content script")
-            );
-          }
-        });
       });
     });
   }
 
-  static async fetchDisciplineInfo(disciplineId, token, domain) {
-    console.log("🔄 Using content script proxy for discipline info");
-    return await this.callContentScriptProxy(
-      "GET",
-      "/api/constructor/disciplines/{disciplineId}/info",
-      disciplineId
+  static async fetchDisciplineInfo(disciplineId, token, domain, options = {}) {
+    return await ItmoCacheService.getOrFetch(
+      domain,
+      "info",
+      disciplineId,
+      () =>
+        this.request(
+          "GET",
+          "/api/constructor/disciplines/{disciplineId}/info",
+          disciplineId,
+          null,
+          { ...options, domain, token }
+        ),
+      options
     );
   }
 
-  static async fetchCourseStructure(disciplineId, token, domain) {
-    console.log("🔄 Using content script proxy for course structure");
-
-    // First get discipline info to extract content ID
+  // Raw chapters of the discipline's first content block
+  static async fetchChapters(disciplineId, token, domain, options = {}) {
+    // First get discipline info to extract content ID; options.refresh is
+    // about chapters edited on the page, the content ID stays the same
     const infoData = await this.fetchDisciplineInfo(
       disciplineId,
       token,
-      domain
+      domain,
+      { ...options, refresh: false }
     );
     const contentId = infoData?.result?.contents?.[0]?.id;
 
@@ -267,14 +585,31 @@ class ItmoApiService {
       throw new Error("❌ Content ID not found");
     }
 
-    // Then fetch chapters using proxy
-    const chaptersData = await this.callContentScriptProxy(
-      "GET",
-      `/api/constructor/programs/${disciplineId}/contents/${contentId}/chapters`,
-      disciplineId
+    const chaptersData = await ItmoCacheService.getOrFetch(
+      domain,
+      "chapters",
+      disciplineId,
+      () =>
+        this.request(
+          "GET",
+          `/api/constructor/programs/${disciplineId}/contents/${contentId}/chapters`,
+          disciplineId,
+          null,
+          { ...options, domain, token }
+        ),
+      options
     );
 
-    const chapters = chaptersData?.result?.chapters || [];
+    return { contentId, chapters: chaptersData?.result?.chapters || [] };
+  }
+
+  static async fetchCourseStructure(disciplineId, token, domain, options = {}) {
+    const { chapters } = await this.fetchChapters(
+      disciplineId,
+      token,
+      domain,
+      options
+    );
 
     if (chapters.length === 0) {
       throw new Error("❌ No chapters found");
@@ -292,14 +627,14 @@ class ItmoApiService {
       .join("\n\n");
   }
 
-  static async findApprovedPrograms(disciplineId, token, domain) {
-    console.log("🔄 Using content script proxy for finding programs");
-
-    // Get discipline name first using proxy
+  // options.filters: see SIMILAR_SEARCH_DEFAULTS in utils/programSearch.js
+  static async findApprovedPrograms(disciplineId, token, domain, options = {}) {
+    // Get discipline name first
     const infoData = await this.fetchDisciplineInfo(
       disciplineId,
       token,
-      domain
+      domain,
+      options
     );
     const title = infoData?.result?.name;
 
@@ -309,12 +644,25 @@ class ItmoApiService {
 
     console.log(`🔍 Searching for programs with title: "${title}"`);
 
-    // Search for similar programs using proxy
-    const encodedQuery = encodeURIComponent(title);
-    const searchResults = await this.callContentScriptProxy(
-      "GET",
-      `/api/constructor/programs/list?limit=15&offset=0&my_disciplines=0&program_type_id=1&status_id=6&education_level_id=2&query=${encodedQuery}`,
-      disciplineId
+    // Search for similar programs
+    const query = buildProgramSearchParams(
+      title,
+      options.filters,
+      infoData.result.education_levels?.[0]?.id
+    );
+    const searchResults = await ItmoCacheService.getOrFetch(
+      domain,
+      "search",
+      query,
+      () =>
+        this.request(
+          "GET",
+          `/api/constructor/programs/list?${query}`,
+          disciplineId,
+          null,
+          { ...options, domain, token }
+        ),
+      options
     );
 
     console.log("🔍 Search results structure:", searchResults);
@@ -345,16 +693,28 @@ class ItmoApiService {
     console.log("📋 Extracted programs array:", programs);
 
     return {
-      programs: programs.filter((p) => p.id !== parseInt(disciplineId)),
+      title,
+      programs: programs.filter(
+        (p) =>
+          p.id !== parseInt(disciplineId) &&
+          matchesYear(p, options.filters?.year)
+      ),
     };
   }
 
-  static async createChapter(disciplineId, token, domain, chapterData) {
-    // Get content ID first using proxy (token managed internally)
+  static async createChapter(
+    disciplineId,
+    token,
+    domain,
+    chapterData,
+    options = {}
+  ) {
+    // Get content ID first (token managed internally)
     const infoData = await this.fetchDisciplineInfo(
       disciplineId,
       token,
-      domain
+      domain,
+      options
     );
     const contentId = infoData?.result?.contents?.[0]?.id;
 
@@ -362,47 +722,104 @@ class ItmoApiService {
       throw new Error("❌ Content ID not found");
     }
 
-    // Create chapter using proxy
-    return await this.callContentScriptProxy(
+    return await this.writeRequest(
       "POST",
       `/api/constructor/programs/${disciplineId}/contents/${contentId}/chapters/create`,
       disciplineId,
-      chapterData
+      chapterData,
+      { ...options, domain, token }
     );
   }
-}
 
-// OpenAI API Service
-class OpenAIService {
-  static async generateStructure(prompt, apiKey) {
-    if (!apiKey) {
-      throw new Error("❌ OpenAI API key is required");
+  static async updateChapter(
+    disciplineId,
+    token,
+    domain,
+    chapterId,
+    chapterData,
+    options = {}
+  ) {
+    const infoData = await this.fetchDisciplineInfo(
+      disciplineId,
+      token,
+      domain,
+      options
+    );
+    const contentId = infoData?.result?.contents?.[0]?.id;
+
+    if (!contentId) {
+      throw new Error("❌ Content ID not found");
     }
 
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "gpt-4o",
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.4,
-      }),
-    });
+    return await this.writeRequest(
+      "PUT",
+      `/api/constructor/programs/${disciplineId}/contents/${contentId}/chapters/${chapterId}`,
+      disciplineId,
+      chapterData,
+      { ...options, domain, token }
+    );
+  }
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        `OpenAI API Error ${response.status}: ${
-          errorData.error?.message || "Unknown error"
-        }`
-      );
+  static async deleteChapter(
+    disciplineId,
+    token,
+    domain,
+    chapterId,
+    options = {}
+  ) {
+    const infoData = await this.fetchDisciplineInfo(
+      disciplineId,
+      token,
+      domain,
+      options
+    );
+    const contentId = infoData?.result?.contents?.[0]?.id;
+
+    if (!contentId) {
+      throw new Error("❌ Content ID not found");
     }
 
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content || "";
+    return await this.writeRequest(
+      "DELETE",
+      `/api/constructor/programs/${disciplineId}/contents/${contentId}/chapters/${chapterId}`,
+      disciplineId,
+      null,
+      { ...options, domain, token }
+    );
+  }
+
+  // Chapter id from a create response (shape differs between API versions)
+  static extractChapterId(response) {
+    return (
+      response?.result?.id ??
+      response?.result?.chapter?.id ??
+      response?.data?.id ??
+      response?.id ??
+      null
+    );
+  }
+}
+
+// LLM API Service - the provider (OpenAI, local server, YandexGPT,
+// GigaChat) is configured in the options page
+class OpenAIService {
+  static async generateStructure(prompt, apiKey, options = {}) {
+    return this.chat([{ role: "user", content: prompt }], apiKey, options);
+  }
+
+  // An explicit apiKey overrides the key stored in settings
+  static async getConfig(apiKey) {
+    const settings = await Settings.getAll();
+    return resolveLlmConfig({
+      ...settings,
+      openaiApiKey: apiKey || settings.openaiApiKey,
+    });
+  }
+
+  // options.responseFormat is passed through as response_format
+  static async chat(messages, apiKey, options = {}) {
+    const config = await this.getConfig(apiKey);
+    return createChatCompletion(config, messages, options);
   }
 }
 
@@ -425,121 +842,438 @@ class EvaluationService {
       throw new Error(`Evaluation API Error ${response.status}: ${text}`);
     }
 
-    return await response.json();
+    const data = await response.json();
+    // Section/theme references for the inline annotations on the ITMO page
+    if (data.result) {
+      data.result.annotations = buildAnnotations(courseText, data.result);
+    }
+    return data;
+  }
+
+  // One course against several references: a result per reference
+  // (`references`, the matrix columns) and their aggregate as the result
+  static async evaluateAgainstReferences(data) {
+    const { courseText, referenceIds, token, domain, transport } = data;
+    const options = { transport };
+
+    // One reference at a time: each one is an ITMO fetch and a call to the
+    // evaluation API
+    const references = [];
+    for (const id of referenceIds) {
+      const reference = { id: String(id), name: null, result: null };
+      try {
+        const info = await ItmoApiService.fetchDisciplineInfo(
+          id,
+          token,
+          domain,
+          options
+        );
+        reference.name = info?.result?.name || null;
+        const referenceText = await ItmoApiService.fetchCourseStructure(
+          id,
+          token,
+          domain,
+          options
+        );
+        const { result } = await this.evaluateDiscipline(
+          courseText,
+          referenceText
+        );
+        reference.result = result;
+      } catch (error) {
+        console.warn(`⚠️ Reference ${id} skipped:`, error);
+        reference.error = error.message;
+      }
+      references.push(reference);
+    }
+
+    const evaluated = references.filter((reference) => reference.result);
+    if (evaluated.length === 0) {
+      throw new Error(
+        `❌ Не удалось оценить ни по одному эталону: ${references
+          .map((reference) => `${reference.id} — ${reference.error}`)
+          .join("; ")}`
+      );
+    }
+
+    const result = aggregateEvaluationResults(
+      evaluated.map((reference) => reference.result)
+    );
+    result.annotations = buildAnnotations(courseText, result);
+    // Only the aggregate annotations are shown on the page
+    result.references = references.map((reference) => {
+      const { annotations, ...metrics } = reference.result || {};
+      return {
+        id: reference.id,
+        name: reference.name,
+        error: reference.error || null,
+        result: reference.result ? metrics : null,
+      };
+    });
+    return { result };
   }
 }
 
-// Analytics Service
-class AnalyticsService {
-  static async trackEvaluation(data) {
-    const GA_MEASUREMENT_ID = "G-XE8K3XVTBL";
-    const GA_API_SECRET = "EbFJvWbYQ0eDZFemDXDfdw";
+// Evaluation History Service - every evaluation result per discipline
+class EvaluationHistoryService {
+  static storageKey(disciplineId) {
+    return `${STORAGE_KEYS.EVALUATION_HISTORY}:${disciplineId}`;
+  }
 
-    const isu = getISUFromToken(data.token);
-    const hashedIsu = isu ? isu : `user-${Date.now()}`;
+  // Entries are stored oldest first
+  static async getHistory(disciplineId) {
+    const key = this.storageKey(disciplineId);
+    const stored = await chrome.storage.local.get([key]);
+    return stored[key] || [];
+  }
 
-    const payload = {
-      client_id: hashedIsu,
-      events: [
-        {
-          name: "discipline_evaluated",
-          params: {
-            discipline_id: data.disciplineId,
-            reference_id: data.referenceId || "none",
-            final_score: data.metrics.final_score,
-            ...Object.fromEntries(
-              Object.entries(data.metrics)
-                .filter(([k, v]) => typeof v === "number")
-                .map(([k, v]) => [`metric_${k}`, v])
-            ),
-          },
-        },
-      ],
+  static async addEntry(disciplineId, { referenceId, courseText, result }) {
+    const key = this.storageKey(disciplineId);
+    const history = await this.getHistory(disciplineId);
+
+    const entry = {
+      id: `${Date.now()}`,
+      timestamp: Date.now(),
+      disciplineId: String(disciplineId),
+      referenceId: referenceId || null,
+      courseText,
+      result,
     };
 
-    try {
-      const response = await fetch(
-        `https://www.google-analytics.com/mp/collect?measurement_id=${GA_MEASUREMENT_ID}&api_secret=${GA_API_SECRET}`,
-        {
-          method: "POST",
-          body: JSON.stringify(payload),
-          headers: {
-            "Content-Type": "application/json",
-          },
-        }
-      );
+    const updated = [...history, entry].slice(-MAX_HISTORY_ENTRIES);
+    await chrome.storage.local.set({ [key]: updated });
+    return entry;
+  }
 
-      if (response.ok) {
-        console.log("📊 Analytics event sent successfully");
-        return { success: true };
-      } else {
-        console.warn("❌ Analytics event failed:", await response.text());
-        return { success: false };
-      }
-    } catch (error) {
-      console.error("❌ Analytics error:", error);
-      return { success: false, error: error.message };
-    }
+  static async clearHistory(disciplineId) {
+    await chrome.storage.local.remove([this.storageKey(disciplineId)]);
+    return { success: true };
   }
 }
 
-// Structure Generation Handler
-class StructureGenerationService {
-  static async handleGenerateStructure(data) {
-    const { disciplineId, token, domain, openaiKey } = data;
+// Batch Evaluation Service - evaluates a list of disciplines in the worker.
+// The job lives in chrome.storage.local, so the batch page can be closed and
+// reopened, and a restarted worker resumes unfinished items
+class BatchEvaluationService {
+  static running = false;
+  static cancelRequested = false;
 
-    if (!openaiKey) {
-      throw new Error("❌ OpenAI API key is required");
-    }
+  static async getJob() {
+    const stored = await chrome.storage.local.get([STORAGE_KEYS.BATCH_JOB]);
+    return stored[STORAGE_KEYS.BATCH_JOB] || null;
+  }
 
-    // Get discipline info using proxy (token managed internally)
-    const infoData = await ItmoApiService.fetchDisciplineInfo(
-      disciplineId,
-      token,
-      domain
-    );
-    const content = infoData?.result?.contents?.[0];
+  static async saveJob(job) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.BATCH_JOB]: job });
+  }
 
-    if (!content) {
-      throw new Error("❌ Не удалось получить информацию о дисциплине");
+  // items: [{ disciplineId, referenceId }]; transport: ITMO_TRANSPORTS value,
+  // the default direct calls let the batch run without an ITMO tab
+  static async start({
+    items,
+    concurrency = BATCH_DEFAULT_CONCURRENCY,
+    transport = ITMO_TRANSPORTS.AUTO,
+  }) {
+    if (this.running) {
+      throw new Error("❌ Пакетная оценка уже выполняется");
     }
-
-    const title = infoData.result.name;
-    const level =
-      {
-        1: "специалитет",
-        2: "бакалавриат",
-        3: "магистратура",
-        4: "аспирантура",
-      }[infoData.result.education_levels[0]?.id] || "бакалавриат";
-
-    const workTypes =
-      content?.work_types?.filter(
-        (wt) => wt.hours > 0 && wt.name.toLowerCase() !== "контактная работа"
-      ) || [];
-
-    if (!workTypes.length) {
-      throw new Error("❌ Не удалось получить типы работ из дисциплины");
+    if (!items?.length) {
+      throw new Error("❌ Список дисциплин пуст");
     }
 
-    const totalHours = workTypes.reduce((sum, wt) => sum + (wt.hours || 0), 0);
+    const job = {
+      id: `${Date.now()}`,
+      status: BATCH_STATUS.RUNNING,
+      concurrency: Math.min(
+        Math.max(parseInt(concurrency, 10) || 1, 1),
+        BATCH_MAX_CONCURRENCY
+      ),
+      transport,
+      startedAt: Date.now(),
+      finishedAt: null,
+      items: items.map((item) => ({
+        disciplineId: String(item.disciplineId),
+        referenceId: item.referenceId ? String(item.referenceId) : null,
+        status: BATCH_STATUS.PENDING,
+        name: null,
+        result: null,
+        error: null,
+      })),
+    };
+    await this.saveJob(job);
+
+    // Not awaited: the caller gets the job back right away
+    this.run(job);
+    return job;
+  }
+
+  static async cancel() {
+    const job = await this.getJob();
+    if (!job || job.status !== BATCH_STATUS.RUNNING) return job;
+
+    this.cancelRequested = true;
+    if (!this.running) {
+      job.status = BATCH_STATUS.CANCELLED;
+      job.finishedAt = Date.now();
+      await this.saveJob(job);
+    }
+    return job;
+  }
+
+  // Continue a job interrupted by a worker restart
+  static async resume() {
+    const job = await this.getJob();
+    if (!job || job.status !== BATCH_STATUS.RUNNING || this.running) return;
+
+    console.log("🔁 Resuming batch evaluation", job.id);
+    job.items.forEach((item) => {
+      if (item.status === BATCH_STATUS.RUNNING) {
+        item.status = BATCH_STATUS.PENDING;
+      }
+    });
+    await this.saveJob(job);
+    this.run(job);
+  }
+
+  // Worker pool: `concurrency` runners take pending items one by one.
+  // Every item update is saved so progress is visible from storage
+  static async run(job) {
+    this.running = true;
+    this.cancelRequested = false;
+
+    const nextItem = () =>
+      job.items.find((item) => item.status === BATCH_STATUS.PENDING);
+
+    const runner = async () => {
+      let item;
+      while (!this.cancelRequested && (item = nextItem())) {
+        item.status = BATCH_STATUS.RUNNING;
+        await this.saveJob(job);
+
+        try {
+          Object.assign(item, await this.evaluateItem(item, job.transport));
+          item.status = BATCH_STATUS.DONE;
+        } catch (error) {
+          console.error(`❌ Batch item ${item.disciplineId} failed:`, error);
+          item.status = BATCH_STATUS.ERROR;
+          item.error = error.message;
+        }
+        await this.saveJob(job);
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: job.concurrency }, runner));
+    } finally {
+      job.status = this.cancelRequested
+        ? BATCH_STATUS.CANCELLED
+        : BATCH_STATUS.DONE;
+      job.finishedAt = Date.now();
+      await this.saveJob(job);
+      this.running = false;
+      this.cancelRequested = false;
+      console.log(`✅ Batch evaluation ${job.id} finished: ${job.status}`);
+    }
+  }
+
+  static async evaluateItem({ disciplineId, referenceId }, transport) {
+    const options = { transport };
+    const info = await ItmoApiService.fetchDisciplineInfo(
+      disciplineId,
+      null,
+      null,
+      options
+    );
+    const courseText = await ItmoApiService.fetchCourseStructure(
+      disciplineId,
+      null,
+      null,
+      options
+    );
+    const referenceText = referenceId
+      ? await ItmoApiService.fetchCourseStructure(
+          referenceId,
+          null,
+          null,
+          options
+        )
+      : null;
+
+    const evaluation = await EvaluationService.evaluateDiscipline(
+      courseText,
+      referenceText
+    );
+
+    // The evaluation succeeded even if its history entry cannot be stored
+    await EvaluationHistoryService.addEntry(disciplineId, {
+      referenceId,
+      courseText,
+      result: evaluation.result,
+    }).catch((error) =>
+      console.warn(`⚠️ History of ${disciplineId} not saved:`, error)
+    );
+
+    return {
+      name: info?.result?.name || null,
+      result: evaluation.result,
+    };
+  }
+}
+
+// Similar Program Service - search results ranked by title and structure
+class SimilarProgramService {
+  static async findSimilar(data) {
+    const { disciplineId, token, domain, filters, transport } = data;
+    const options = { transport };
+
+    const { title, programs } = await ItmoApiService.findApprovedPrograms(
+      disciplineId,
+      token,
+      domain,
+      { ...options, filters }
+    );
+    const courseText = await ItmoApiService.fetchCourseStructure(
+      disciplineId,
+      token,
+      domain,
+      options
+    ).catch(() => null);
+
+    // A candidate without chapters is still listed, ranked by title
+    const loadCandidate = async (program) => ({
+      program,
+      courseText: await ItmoApiService.fetchCourseStructure(
+        program.id,
+        token,
+        domain,
+        options
+      ).catch(() => null),
+    });
+
+    const candidates = [];
+    for (let i = 0; i < programs.length; i += SIMILAR_FETCH_CONCURRENCY) {
+      const chunk = programs.slice(i, i + SIMILAR_FETCH_CONCURRENCY);
+      candidates.push(...(await Promise.all(chunk.map(loadCandidate))));
+    }
+
+    return { title, programs: rankPrograms(title, courseText, candidates) };
+  }
+}
+
+// Reference Selection Service - picks a reference structure for evaluation
+// when the user did not enter one
+class ReferenceSelectionService {
+  static async select(data) {
+    const { mode = AUTO_REFERENCE_MODES.BEST } = data;
+    const { programs } = await SimilarProgramService.findSimilar(data);
+
+    const usable = programs.filter(
+      (program) =>
+        program.courseText && program.score >= AUTO_REFERENCE_MIN_SCORE
+    );
+    const chosen = usable.slice(
+      0,
+      mode === AUTO_REFERENCE_MODES.COMBINED ? AUTO_REFERENCE_COMBINED_COUNT : 1
+    );
+
+    return {
+      mode,
+      referenceId: chosen.length === 1 ? String(chosen[0].id) : null,
+      referenceIds: chosen.map((program) => String(program.id)),
+      referenceName: chosen.map((program) => program.name).join(" + ") || null,
+      referenceText:
+        chosen.length > 0
+          ? combineCourseTexts(chosen.map((program) => program.courseText))
+          : null,
+      reason: describeReferenceChoice(chosen, programs.length),
+      candidates: programs.map(({ id, name, score }) => ({ id, name, score })),
+    };
+  }
+}
+
+// Analytics Service
+class AnalyticsService {
+  static async trackEvaluation(data) {
+    const GA_MEASUREMENT_ID = "G-XE8K3XVTBL";
+    const GA_API_SECRET = "EbFJvWbYQ0eDZFemDXDfdw";
+
+    const isu = getISUFromToken(data.token);
+    const hashedIsu = isu ? isu : `user-${Date.now()}`;
+
+    const payload = {
+      client_id: hashedIsu,
+      events: [
+        {
+          name: "discipline_evaluated",
+          params: {
+            discipline_id: data.disciplineId,
+            reference_id: data.referenceId || "none",
+            final_score: data.metrics.final_score,
+            ...Object.fromEntries(
+              Object.entries(data.metrics)
+                .filter(([k, v]) => typeof v === "number")
+                .map(([k, v]) => [`metric_${k}`, v])
+            ),
+          },
+        },
+      ],
+    };
+
+    try {
+      const response = await fetch(
+        `https://www.google-analytics.com/mp/collect?measurement_id=${GA_MEASUREMENT_ID}&api_secret=${GA_API_SECRET}`,
+        {
+          method: "POST",
+          body: JSON.stringify(payload),
+          headers: {
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+      if (response.ok) {
+        console.log("📊 Analytics event sent successfully");
+        return { success: true };
+      } else {
+        console.warn("❌ Analytics event failed:", await response.text());
+        return { success: false };
+      }
+    } catch (error) {
+      console.error("❌ Analytics error:", error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Structure Generation Handler
+class StructureGenerationService {
+  static async handleGenerateStructure(data) {
+    const {
+      disciplineId,
+      token,
+      domain,
+      openaiKey,
+      transport,
+      exampleIds = [],
+      strategy,
+    } = data;
 
-    // Create enhanced prompt for OpenAI with strict workload constraints
-    const lectureHours =
-      workTypes.find((wt) => wt.name.toLowerCase().includes("лекци"))?.hours ||
-      0;
-    const labHours =
-      workTypes.find((wt) => wt.name.toLowerCase().includes("лабор"))?.hours ||
-      0;
-    const practiceHours =
-      workTypes.find((wt) => wt.name.toLowerCase().includes("практ"))?.hours ||
-      0;
-
-    // CRITICAL: Account for ITMO's requirement of even hours per theme (2 hours minimum)
-    // Each theme will be rounded up to even hours, so we need to plan accordingly
-    const lectureThemes = Math.floor(lectureHours / 2); // Each lecture theme = 2 hours
-    const labThemes = Math.floor(labHours / 2); // Each lab theme = 2 hours
-    const practiceThemes = Math.floor(practiceHours / 2); // Each practice theme = 2 hours
+    const context = await this.loadGenerationContext(
+      disciplineId,
+      token,
+      domain,
+      { transport }
+    );
+    const { title, level, workTypes, contactTypes, themeLabels, granularity } =
+      context;
+
+    // Structures of similar programs chosen by the user as examples
+    const examples = await this.loadExamples(exampleIds, token, domain, {
+      transport,
+    });
+
+    // Prompting strategy chosen in the popup (zero-shot by default)
+    const strategyPrompt = buildStrategyPrompt(strategy, title);
 
     const prompt = `
 🎯 ЗАДАЧА ОПТИМИЗАЦИИ ТРУДОЕМКОСТИ: Создай структуру дисциплины «${title}» для ${level}.
@@ -547,74 +1281,65 @@ class StructureGenerationService {
 📊 ЖЕСТКИЕ ОГРАНИЧЕНИЯ ПО ТРУДОЕМКОСТИ (НИ БОЛЬШЕ, НИ МЕНЬШЕ):
 ${workTypes.map((w) => `• ${w.name}: РОВНО ${w.hours} часов`).join("\n")}
 
-🚨 КРИТИЧЕСКИ ВАЖНО (СИСТЕМА ITMO ТРЕБУЕТ ЧЕТНОСТИ):
+🚨 КРИТИЧЕСКИ ВАЖНО (ЧАСЫ ВЫДЕЛЯЮТСЯ ПО ${granularity} Ч НА ТЕМУ):
 - Создай МАКСИМУМ 5-6 разделов (не больше!)
-- Лекций должно быть РОВНО ${lectureThemes} тем (система создаст ${
-      lectureThemes * 2
-    } часов = ${lectureHours} часов)
-- Лабораторных должно быть РОВНО ${labThemes} тем (система создаст ${
-      labThemes * 2
-    } часов = ${labHours} часов)
-${
-  practiceHours > 0
-    ? `- Практик должно быть РОВНО ${practiceThemes} тем (система создаст ${
-        practiceThemes * 2
-      } часов = ${practiceHours} часов)`
-    : ""
-}
-- КАЖДАЯ ТЕМА В ITMO = 2 ЧАСА (система округляет до четных)
+${contactTypes
+  .map(
+    (wt) =>
+      `- ${wt.name}: РОВНО ${wt.themes} ${
+        wt.single ? "тема (все часы на одну тему)" : "тем"
+      } (${wt.hours} часов)`
+  )
+  .join("\n")}
+- КАЖДАЯ ТЕМА ≈ ${granularity} Ч — точные часы система распределит по разделам сама
 - НЕ ДОБАВЛЯЙ СРО ТЕМЫ - система добавит их автоматически
 
-🔢 МАТЕМАТИКА (УЧИТЫВАЯ ОКРУГЛЕНИЕ ITMO):
-- Создай ТОЧНО ${lectureThemes} тем с пометкой (лекция)
-- Создай ТОЧНО ${labThemes} тем с пометкой (лабораторная)
-${
-  practiceHours > 0
-    ? `- Создай ТОЧНО ${practiceThemes} тем с пометкой (практика)`
-    : ""
-}
-- НЕ СОЗДАВАЙ СРО ТЕМЫ - только лекции и лабораторные${
-      practiceHours > 0 ? " и практики" : ""
+🔢 МАТЕМАТИКА:
+${contactTypes
+  .map((wt) => `- Создай ТОЧНО ${wt.themes} тем с work_type "${wt.label}"`)
+  .join("\n")}
+- НЕ СОЗДАВАЙ СРО ТЕМЫ - только темы перечисленных типов${
+      contactTypes.some((wt) => wt.single)
+        ? "\n- Темы экзамена, зачёта, контроля и курсового проекта ставь в подходящий раздел, обычно в последний"
+        : ""
     }
 
 💡 ВАЖНО: Создавай темы строго по типам:
-- Каждая тема должна иметь четко определенный тип работы
-- Используй пометки: (лекция), (лабораторная), (практика)
-
-📋 ФОРМАТ (БЕЗ ПОЯСНЕНИЙ):
-1. Название раздела 1
- - Тема 1 (лекция)
- - Тема 2 (лабораторная)${practiceHours > 0 ? "\n - Тема 3 (практика)" : ""}
-2. Название раздела 2
- - Тема ${practiceHours > 0 ? "4" : "3"} (лекция)
- - Тема ${practiceHours > 0 ? "5" : "4"} (лабораторная)${
-      practiceHours > 0 ? "\n - Тема 6 (практика)" : ""
+- Каждая тема должна иметь четко определенный тип работы (поле work_type)
+- Допустимые значения work_type: ${contactTypes
+      .map((wt) => `"${wt.label}"`)
+      .join(", ")}
+- Название темы указывай без пометки типа и без нумерации
+${this.formatExamplesPrompt(examples)}${
+      strategyPrompt.text ? `\n🧠 ${strategyPrompt.text}\n` : ""
+    }
+📋 ФОРМАТ ОТВЕТА — ТОЛЬКО JSON БЕЗ ПОЯСНЕНИЙ:
+{
+  "sections": [
+    {
+      "name": "Название раздела 1",
+      "themes": [
+        { "name": "Тема 1", "work_type": "лекция", "description": null },
+        { "name": "Тема 2", "work_type": "лабораторная", "description": "Краткое описание (необязательно)" }
+      ]
     }
+  ]
+}
 
 ⚡ ПРОВЕРЬ СЕБЯ ПЕРЕД ОТВЕТОМ: 
 Посчитай количество тем каждого типа и убедись, что оно точно соответствует ограничениям!`.trim();
 
-    // Generate structure using OpenAI
-    const structure = await OpenAIService.generateStructure(prompt, openaiKey);
+    // Generate structure using OpenAI (validated JSON)
+    const structureJson = await this.requestStructureJson(
+      prompt,
+      openaiKey,
+      themeLabels
+    );
 
-    if (!structure) {
-      throw new Error("❌ Пустой ответ от OpenAI");
-    }
+    // Plain-text rendering for callers that expect the legacy format
+    const structure = renderStructureText(structureJson);
 
-    // Parse the generated structure
-    const lines = structure.split("\n");
-    const chapters = [];
-    let current = null;
-
-    lines.forEach((line) => {
-      if (/^\d+\.\s/.test(line)) {
-        if (current) chapters.push(current);
-        current = { name: line.replace(/^\d+\.\s/, "").trim(), themes: [] };
-      } else if (line.trim() && current) {
-        current.themes.push({ name: line.trim().replace(/^[-•–]\s*/, "") });
-      }
-    });
-    if (current) chapters.push(current);
+    const chapters = this.chaptersFromJson(structureJson);
 
     // Remove standalone "Самостоятельная работа" chapters created by ChatGPT
     const standaloneIndexes = [];
@@ -662,23 +1387,269 @@ ${
       }
     });
 
+    const summary = await this.balanceStructure(chapters, context, openaiKey);
+
+    return {
+      structure,
+      chapters,
+      summary: {
+        ...summary,
+        examples: examples.map(({ id, name, error }) => ({ id, name, error })),
+        strategy: {
+          id: strategyPrompt.strategy,
+          title: PROMPT_STRATEGIES[strategyPrompt.strategy].title,
+          fewShotExamples: strategyPrompt.examples,
+        },
+      },
+    };
+  }
+
+  // Chapters with typed themes from a validated structure answer
+  static chaptersFromJson(structureJson) {
+    return structureJson.sections.map((section) => ({
+      name: section.name.trim(),
+      themes: section.themes.map((theme) => ({
+        name: `${theme.name.trim()} (${theme.work_type})`,
+        rawName: theme.name.trim(),
+        label: theme.work_type,
+        description: theme.description || null,
+      })),
+    }));
+  }
+
+  // Regenerates, expands, splits or merges one section of a generated
+  // structure. Only that section goes to the model, with the section list
+  // and its neighbours as context; the other chapters are kept as they are
+  // and the combined structure is balanced again
+  static async editSection(data) {
+    const {
+      disciplineId,
+      token,
+      domain,
+      openaiKey,
+      transport,
+      chapters = [],
+      index,
+      action,
+    } = data;
+
+    const span = action === SECTION_ACTIONS.MERGE ? 2 : 1;
+    const returned = action === SECTION_ACTIONS.SPLIT ? 2 : 1;
+    if (!Object.values(SECTION_ACTIONS).includes(action)) {
+      throw new Error(`❌ Неизвестное действие с разделом: ${action}`);
+    }
+    if (!chapters[index] || index + span > chapters.length) {
+      throw new Error(
+        action === SECTION_ACTIONS.MERGE
+          ? "❌ Нет следующего раздела для объединения"
+          : "❌ Раздел не найден"
+      );
+    }
+
+    const context = await this.loadGenerationContext(
+      disciplineId,
+      token,
+      domain,
+      { transport }
+    );
+    const { title, level, themeLabels } = context;
+
+    const target = chapters.slice(index, index + span);
+    const formatSection = (ch) =>
+      JSON.stringify({
+        name: ch.name,
+        themes: ch.themes.map((theme) => ({
+          name: theme.rawName || theme.name,
+          work_type: this.getThemeLabel(theme),
+          description: theme.description || null,
+        })),
+      });
+
+    // Theme counts the model has to keep, so balancing changes little
+    const counts = {};
+    target.forEach((ch) =>
+      ch.themes.forEach((theme) => {
+        const label = this.getThemeLabel(theme);
+        counts[label] = (counts[label] || 0) + 1;
+      })
+    );
+    const keepCounts = Object.entries(counts)
+      .map(([label, count]) => `"${label}" — ${count}`)
+      .join(", ");
+
+    const task = {
+      [SECTION_ACTIONS.REGENERATE]: `Составь раздел заново: новое название и новые темы на ту же часть курса. Сохрани количество тем каждого work_type: ${keepCounts}.`,
+      [SECTION_ACTIONS.EXPAND]: `Оставь все темы раздела и их work_type (названия можно уточнить), добавь каждой теме краткое описание и добавь 1–2 темы с work_type "${SELF_STUDY_LABEL}" для самостоятельного изучения.`,
+      [SECTION_ACTIONS.SPLIT]: `Раздели раздел на два последовательных раздела с собственными названиями. Распредели между ними темы раздела, при необходимости уточнив названия; общее количество тем каждого work_type сохрани: ${keepCounts}.`,
+      [SECTION_ACTIONS.MERGE]: `Объедини два раздела в один с общим названием. Убери повторы и выстрой темы в логичном порядке; количество тем каждого work_type сохрани: ${keepCounts}.`,
+    }[action];
+
+    const prompt = `
+✏️ Измени часть структуры дисциплины «${title}» для ${level}. Остальные разделы уже утверждены.
+
+📋 Разделы курса:
+${chapters
+  .map(
+    (ch, i) =>
+      `${i + 1}. ${ch.name}${
+        i >= index && i < index + span ? " ← изменяется" : ""
+      }`
+  )
+  .join("\n")}
+${
+  index > 0
+    ? `\n⬅️ Предыдущий раздел:\n${formatSection(chapters[index - 1])}\n`
+    : ""
+}
+🎯 Изменяемые разделы:
+${target.map(formatSection).join("\n")}
+${
+  index + span < chapters.length
+    ? `\n➡️ Следующий раздел:\n${formatSection(chapters[index + span])}\n`
+    : ""
+}
+🚨 ЗАДАЧА: ${task}
+- Не повторяй темы других разделов
+- Допустимые значения work_type: ${themeLabels.map((l) => `"${l}"`).join(", ")}
+- Название темы указывай без пометки типа и без нумерации
+
+📋 ФОРМАТ ОТВЕТА — ТОЛЬКО JSON БЕЗ ПОЯСНЕНИЙ: {"sections": [...]} в том же формате, что и разделы выше, ровно ${returned} ${
+      returned === 1 ? "раздел" : "раздела"
+    }.`.trim();
+
+    const structureJson = await this.requestStructureJson(
+      prompt,
+      openaiKey,
+      themeLabels
+    );
+    if (structureJson.sections.length !== returned) {
+      throw new Error(
+        `❌ Языковая модель вернула ${structureJson.sections.length} разделов вместо ${returned}`
+      );
+    }
+
+    // A section that stays one section keeps its pinned СРО hours
+    const edited = this.chaptersFromJson(structureJson).map((ch) => ({
+      ...ch,
+      selfStudyHours:
+        span === returned ? target[0].selfStudyHours ?? null : null,
+    }));
+    const combined = [
+      ...chapters.slice(0, index),
+      ...edited,
+      ...chapters.slice(index + span),
+    ];
+    console.log(
+      `✏️ Section ${action}: ${span} → ${edited.length} at index ${index}`
+    );
+
+    const summary = await this.balanceStructure(combined, context, openaiKey);
+
+    return {
+      structure: renderStructureText({
+        sections: combined.map((ch) => ({
+          name: ch.name,
+          themes: ch.themes.map((theme) => ({
+            name: theme.rawName || theme.name,
+            work_type: theme.normalizedType,
+          })),
+        })),
+      }),
+      chapters: combined,
+      summary: {
+        ...summary,
+        edit: { action, index, sections: edited.length },
+      },
+    };
+  }
+
+  // /info data every generation step needs: work types with theme labels,
+  // contact types with the number of themes they need, hour granularity
+  static async loadGenerationContext(disciplineId, token, domain, options) {
+    // Get discipline info (token managed internally)
+    const infoData = await ItmoApiService.fetchDisciplineInfo(
+      disciplineId,
+      token,
+      domain,
+      options
+    );
+    const content = infoData?.result?.contents?.[0];
+
+    if (!content) {
+      throw new Error("❌ Не удалось получить информацию о дисциплине");
+    }
+
+    const title = infoData.result.name;
+    const level =
+      EDUCATION_LEVELS[infoData.result.education_levels[0]?.id] ||
+      "бакалавриат";
+
+    // Every declared work type takes part; labels come from the mapping
+    // table in settings, so themes can be matched to custom types too
+    const mapping = await this.getWorkTypeMapping();
+    const workTypes = annotateWorkTypes(
+      content?.work_types?.filter(
+        (wt) => wt.hours > 0 && wt.name.toLowerCase() !== "контактная работа"
+      ) || [],
+      mapping
+    );
+
+    if (!workTypes.length) {
+      throw new Error("❌ Не удалось получить типы работ из дисциплины");
+    }
+
+    const totalHours = workTypes.reduce((sum, wt) => sum + (wt.hours || 0), 0);
+
+    // One theme per granularity unit (2 hours by default), one theme for
+    // assessments and projects; the exact hours, odd totals included,
+    // are distributed by the workload solver
+    const granularity = await this.getHoursGranularity();
+    const contactTypes = workTypes
+      .filter((wt) => !isSelfStudyWorkType(wt.name))
+      .map((wt) => ({
+        ...wt,
+        single: isSingleThemeWorkType(wt),
+        themes: expectedThemeCount(wt, granularity),
+      }));
+    const themeLabels = [
+      ...new Set([...contactTypes.map((wt) => wt.label), SELF_STUDY_LABEL]),
+    ];
+
+    return {
+      title,
+      level,
+      mapping,
+      workTypes,
+      totalHours,
+      granularity,
+      contactTypes,
+      themeLabels,
+    };
+  }
+
+  // Brings theme counts to the targets of `context.contactTypes` (chapters
+  // are changed in place) and plans the hours; returns the summary shared
+  // by generation and section edits
+  static async balanceStructure(chapters, context, apiKey) {
+    const {
+      title,
+      level,
+      mapping,
+      workTypes,
+      totalHours,
+      granularity,
+      contactTypes,
+    } = context;
+
     // Enhanced postprocessing with automatic workload correction
     console.log("📊 Starting workload balancing postprocessing...");
 
-    // Parse and normalize theme types
+    // Normalize theme types to the labels of the discipline's work types
     chapters.forEach((ch) => {
       ch.themes.forEach((theme) => {
-        const match = theme.name.match(/\(([^)]+)\)$/);
-        const label = match?.[1]?.toLowerCase().trim();
-        const raw = theme.name.replace(/\s*\(([^)]+)\)\s*$/, "").trim();
-        theme.rawName = raw;
-        theme.label = label;
-
-        // Normalize type labels
-        const normalizedType =
-          StructureGenerationService.mapWorkTypeLabel(label) || "сро";
-
-        theme.normalizedType = normalizedType;
+        theme.normalizedType =
+          findWorkTypeForLabel(theme.label, workTypes, mapping)?.label ||
+          SELF_STUDY_LABEL;
       });
     });
 
@@ -691,16 +1662,17 @@ ${
       });
     });
 
-    // Target distribution from API (accounting for ITMO's 2-hour rounding)
-    const targetCounts = {
-      лекция: lectureThemes,
-      лабораторная: labThemes,
-      практика: practiceThemes,
-    };
+    // Target number of themes for every contact work type
+    const targetCounts = Object.fromEntries(
+      contactTypes.map((wt) => [wt.label, wt.themes])
+    );
 
     console.log("🎯 Target distribution:", targetCounts);
     console.log("📈 Current distribution:", currentCounts);
 
+    // Themes that still have to be added: { chapterIndex, type }
+    const missingThemes = [];
+
     // CRITICAL WORKLOAD BALANCING ALGORITHM
     for (const [targetType, targetCount] of Object.entries(targetCounts)) {
       if (targetCount === 0) continue;
@@ -731,20 +1703,13 @@ ${
           }
         }
 
-        // If still need more, add new themes
-        if (converted < diff) {
-          const remaining = diff - converted;
-          if (chapters.length > 0) {
-            for (let i = 0; i < remaining; i++) {
-              const chapterIndex = i % chapters.length;
-              const newTheme = {
-                name: `Дополнительная тема ${i + 1} (${targetType})`,
-                rawName: `Дополнительная тема ${i + 1}`,
-                normalizedType: targetType,
-              };
-              chapters[chapterIndex].themes.push(newTheme);
-              console.log(`➕ Added new theme: "${newTheme.name}"`);
-            }
+        // If still need more, new themes are generated after the loop
+        if (converted < diff && chapters.length > 0) {
+          for (let i = 0; i < diff - converted; i++) {
+            missingThemes.push({
+              chapterIndex: i % chapters.length,
+              type: targetType,
+            });
           }
         }
       } else if (diff < 0) {
@@ -776,277 +1741,791 @@ ${
       }
     }
 
-    // Validate and balance chapter structure (even number requirement)
-    chapters.forEach((ch) => {
-      const lecCount = ch.themes.filter(
-        (t) => t.normalizedType === "лекция"
-      ).length;
-      const labCount = ch.themes.filter(
-        (t) => t.normalizedType === "лабораторная"
-      ).length;
-      if ((lecCount + labCount) % 2 === 1) {
-        ch.themes.push({
-          name: "Дополнительная тема для выравнивания (СРО)",
-          rawName: "Дополнительная тема для выравнивания",
-          normalizedType: "сро",
-        });
-      }
+    const fillerThemes = await this.addMissingThemes(chapters, missingThemes, {
+      title,
+      level,
+      workTypes: contactTypes,
+      apiKey,
     });
 
-    // СРО темы уже добавлены автоматически выше ✅
-
     // Recalculate final distribution for reporting
     const finalCounts = {};
     chapters.forEach((ch) => {
       ch.themes.forEach((theme) => {
         const type = theme.normalizedType;
-        const reportType =
-          {
-            лекция: "Лекция",
-            лабораторная: "Лабораторная работа",
-            практика: "Практика",
-            сро: "СРО",
-          }[type] || "СРО";
-        finalCounts[reportType] = (finalCounts[reportType] || 0) + 1;
+        finalCounts[type] = (finalCounts[type] || 0) + 1;
       });
     });
 
     console.log("✅ Final distribution after balancing:", finalCounts);
 
-    const finalSummary = Object.entries(finalCounts)
-      .map(([type, count]) => {
-        // Показываем реальные часы (как в API): лекции/лабы/практики * 2, СРО как есть
-        const realHours = type === "СРО" ? count : count * 2;
-        return `— ${type}: ${realHours} ч`;
-      })
-      .join("\n");
+    // СРО weighted by complexity needs a score for every section; the
+    // preview keeps it on the chapter so creation uses the same split
+    const selfStudyMode = await this.getSelfStudyMode();
+    if (
+      selfStudyMode === "complexity" &&
+      chapters.some((ch) => !(ch.complexity > 0))
+    ) {
+      const complexity = await this.estimateChapterComplexity(
+        chapters,
+        title,
+        apiKey
+      );
+      chapters.forEach((ch, i) => {
+        ch.complexity = complexity?.[i] ?? null;
+      });
+    }
+
+    // Evenness is handled by the solver: hours per chapter sum exactly
+    // to /info, whatever remains is reported as a deviation
+    const workload = solveWorkload(
+      workTypes,
+      this.countChapterThemes(chapters, workTypes, mapping),
+      granularity,
+      this.getSelfStudyOptions(chapters, selfStudyMode)
+    );
+    console.log("📐 Workload plan:", workload);
+
+    const finalSummary = workload.totals
+      .map(
+        (row) =>
+          `— ${row.name}: ${row.planned} ч${
+            row.selfStudy ? "" : ` (${row.themes} тем)`
+          }`
+      )
+      .join("\n")
+      .concat(
+        workload.selfStudy.hours.some((hours) => hours > 0)
+          ? `\n— ${describeSelfStudySplit(workload.selfStudy)}`
+          : ""
+      );
 
     const apiSummary = workTypes
       .map((w) => `— ${w.name}: ${w.hours} ч`)
       .join("\n");
 
     // Check if balancing was successful (themes count, not hours)
-    const lecturesMatch = (finalCounts["Лекция"] || 0) === lectureThemes;
-    const labsMatch = (finalCounts["Лабораторная работа"] || 0) === labThemes;
-    const practicesMatch =
-      practiceThemes === 0 || (finalCounts["Практика"] || 0) === practiceThemes;
-
-    const balancingSuccess = lecturesMatch && labsMatch && practicesMatch;
+    const balancingDetails = contactTypes.map((wt) => ({
+      name: wt.name,
+      label: wt.label,
+      hours: wt.hours,
+      target: wt.themes,
+      actual: finalCounts[wt.label] || 0,
+      matches: (finalCounts[wt.label] || 0) === wt.themes,
+    }));
+    const balancingSuccess = balancingDetails.every((row) => row.matches);
 
     console.log(
       `🎯 Workload balancing: ${balancingSuccess ? "✅ SUCCESS" : "❌ FAILED"}`
     );
-    console.log(
-      `📊 Lectures: ${
-        finalCounts["Лекция"] || 0
-      }/${lectureThemes} themes (will be ${
-        (finalCounts["Лекция"] || 0) * 2
-      }/${lectureHours} hours) ${lecturesMatch ? "✅" : "❌"}`
-    );
-    console.log(
-      `🧪 Labs: ${
-        finalCounts["Лабораторная работа"] || 0
-      }/${labThemes} themes (will be ${
-        (finalCounts["Лабораторная работа"] || 0) * 2
-      }/${labHours} hours) ${labsMatch ? "✅" : "❌"}`
-    );
-    if (practiceThemes > 0) {
+    balancingDetails.forEach((row) =>
       console.log(
-        `🎭 Practices: ${
-          finalCounts["Практика"] || 0
-        }/${practiceThemes} themes (will be ${
-          (finalCounts["Практика"] || 0) * 2
-        }/${practiceHours} hours) ${practicesMatch ? "✅" : "❌"}`
-      );
-    }
+        `📊 ${row.name}: ${row.actual}/${row.target} themes (${
+          row.hours
+        } hours) ${row.matches ? "✅" : "❌"}`
+      )
+    );
 
     return {
-      structure,
-      chapters,
-      summary: {
-        title,
-        level,
-        totalHours,
-        finalSummary,
-        apiSummary,
-        workTypes,
-        balancingSuccess,
-        balancingDetails: {
-          lecturesMatch,
-          labsMatch,
-          practicesMatch,
-          target: {
-            lectures: lectureThemes,
-            labs: labThemes,
-            practices: practiceThemes,
-            lectureHours,
-            labHours,
-            practiceHours,
-          },
-          actual: finalCounts,
-        },
+      title,
+      level,
+      totalHours,
+      finalSummary,
+      apiSummary,
+      workTypes,
+      workload: {
+        granularity,
+        totals: workload.totals,
+        deviations: workload.deviations,
+        selfStudy: workload.selfStudy,
       },
+      fillerThemes,
+      balancingSuccess,
+      balancingDetails,
     };
   }
 
-  static async createChaptersFromStructure(data) {
-    const { disciplineId, token, domain, chapters, workTypes } = data;
+  // Example structures are loaded one by one; a failed example is reported
+  // in the summary and left out of the prompt instead of failing generation
+  static async loadExamples(exampleIds, token, domain, options) {
+    const ids = [...new Set(exampleIds.map(String))]
+      .filter((id) => id.trim())
+      .slice(0, MAX_GENERATION_EXAMPLES);
+
+    const examples = [];
+    for (const id of ids) {
+      try {
+        const [infoData, courseText] = await Promise.all([
+          ItmoApiService.fetchDisciplineInfo(id, token, domain, options),
+          ItmoApiService.fetchCourseStructure(id, token, domain, options),
+        ]);
+        examples.push({ id, name: infoData?.result?.name || null, courseText });
+      } catch (error) {
+        console.warn(`⚠️ Пример ${id} не загружен:`, error.message);
+        examples.push({
+          id,
+          name: null,
+          courseText: null,
+          error: error.message,
+        });
+      }
+    }
+    return examples;
+  }
 
-    // Get content ID using proxy (token managed internally)
-    const infoData = await ItmoApiService.fetchDisciplineInfo(
-      disciplineId,
-      token,
-      domain
+  static formatExamplesPrompt(examples) {
+    const loaded = examples.filter((example) => example.courseText);
+    if (loaded.length === 0) return "";
+
+    const blocks = loaded.map(
+      (example, index) =>
+        `Пример ${index + 1} — «${example.name || example.id}» (ID: ${
+          example.id
+        }):\n${example.courseText}`
     );
-    const contentId = infoData?.result?.contents?.[0]?.id;
 
-    if (!contentId) {
-      throw new Error("❌ Не удалось получить contentId");
-    }
+    return `
+📚 ДЛЯ ОРИЕНТИРА — СТРУКТУРЫ ПОХОЖИХ ДИСЦИПЛИН:
+Используй их как образец состава и глубины тем, но не копируй дословно. Ограничения по трудоемкости выше важнее примеров.
 
-    const results = [];
+${blocks.join("\n\n")}
+`;
+  }
 
-    for (let index = 0; index < chapters.length; index++) {
-      const ch = chapters[index];
-      const parsedThemes = ch.themes.map((t, i) => {
-        const match = t.name.match(/\(([^)]+)\)$/);
-        const label = match?.[1];
-        const rawName = t.name.replace(/\s*\(([^)]+)\)\s*$/, "").trim();
-        return {
-          name: rawName,
-          order: i + 1,
-          resources: [],
-          label,
-        };
+  // Requests the structure as JSON matching the schema for `workTypes`.
+  // An invalid answer gets one automatic repair attempt with the errors
+  static async requestStructureJson(
+    prompt,
+    apiKey,
+    workTypes = STRUCTURE_WORK_TYPES
+  ) {
+    const responseFormat = {
+      type: "json_schema",
+      json_schema: {
+        name: "course_structure",
+        strict: true,
+        schema: buildCourseStructureSchema(workTypes),
+      },
+    };
+    const messages = [{ role: "user", content: prompt }];
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const answer = await OpenAIService.chat(messages, apiKey, {
+        responseFormat,
       });
 
-      // Map work types
-      const wtMap = {};
-      parsedThemes.forEach((t) => {
-        const selected = this.resolveWorkTypes(t.label, workTypes);
-        // Если тип не определен, пропускаем тему (СРО добавим "под капотом")
-        if (selected.length === 0) {
-          console.log(
-            `⚠️ Тема "${t.name}" без типа - пропускаем (тип: "${t.label}")`
-          );
-          return;
+      if (!answer) {
+        throw new Error("❌ Пустой ответ от языковой модели");
+      }
+
+      const { value, error } = parseStructureJson(answer);
+      const errors = error
+        ? [error]
+        : validateCourseStructure(value, workTypes);
+
+      if (errors.length === 0) {
+        return value;
+      }
+
+      console.warn(
+        `⚠️ Ответ не соответствует схеме (попытка ${attempt + 1}):`,
+        errors
+      );
+      messages.push(
+        { role: "assistant", content: answer },
+        {
+          role: "user",
+          content: `Ответ не соответствует JSON-схеме. Ошибки:\n${errors
+            .map((e) => `- ${e}`)
+            .join(
+              "\n"
+            )}\n\nИсправь ответ и верни только корректный JSON той же структуры.`,
         }
+      );
+    }
 
-        selected.forEach((wt) => {
-          if (!wtMap[wt.program_work_type_id]) {
-            wtMap[wt.program_work_type_id] = { ...wt, count: 0 };
-          }
-          wtMap[wt.program_work_type_id].count += 1;
-        });
-      });
+    throw new Error(
+      "❌ Языковая модель вернула структуру, не соответствующую схеме, даже после исправления"
+    );
+  }
 
-      // Балансировка уже выполнена на предыдущем этапе - дополнительная не нужна
+  // Adds the themes the balancer is short of. The model suggests concrete
+  // themes that fit each section; placeholders flagged with `placeholder`
+  // are used only when it is unavailable or answers invalidly
+  static async addMissingThemes(chapters, missing, context) {
+    const result = { generated: 0, placeholders: 0 };
+    if (missing.length === 0) return result;
+
+    const { title, level, workTypes, apiKey } = context;
+    const typeName = (type) =>
+      workTypes.find((wt) => wt.label === type)?.name || type;
+    const existing = chapters.flatMap((ch) =>
+      ch.themes.map((theme) => theme.rawName || theme.name)
+    );
+    const requests = missing
+      .map(({ chapterIndex, type }, i) => {
+        const chapter = chapters[chapterIndex];
+        return `${i + 1}. Раздел «${chapter.name}» — тип «${typeName(
+          type
+        )}». Уже есть темы: ${
+          chapter.themes.map((theme) => theme.rawName).join("; ") || "нет"
+        }`;
+      })
+      .join("\n");
+    const prompt = `Дисциплина «${title}» (${level}). Чтобы выдержать трудоемкость, в разделы нужно добавить темы. Для каждого запроса предложи конкретную тему, которая продолжает свой раздел, подходит к типу работы и не повторяет уже существующие темы и другие ответы.
 
-      // Добавляем СРО часы "под капотом" - математическое распределение
-      const sroWorkType = workTypes.find((wt) => {
-        const name = wt.name.toLowerCase();
-        return (
-          name.includes("сро") ||
-          name.includes("самостоятельн") ||
-          name.includes("self") ||
-          name.includes("independent")
-        );
-      });
+${requests}
+
+Ответь только JSON: {"themes": [{"name": "Название", "description": null}, ...]} — ровно ${missing.length} тем в порядке запросов. Название темы указывай без пометки типа и без нумерации.`;
 
-      // Логируем все доступные типы работ
+    let themes = null;
+    try {
+      const answer = await OpenAIService.chat(
+        [{ role: "user", content: prompt }],
+        apiKey,
+        {
+          responseFormat: {
+            type: "json_schema",
+            json_schema: {
+              name: "filler_themes",
+              strict: true,
+              schema: FILLER_THEMES_SCHEMA,
+            },
+          },
+        }
+      );
+      const { value, error } = parseStructureJson(answer);
+      const errors = error
+        ? [error]
+        : validateFillerThemes(value, missing.length, existing);
+      if (errors.length > 0) {
+        console.warn("⚠️ Дополнительные темы отклонены:", errors);
+      } else {
+        themes = value.themes;
+      }
+    } catch (error) {
+      console.warn("⚠️ Не удалось сгенерировать дополнительные темы:", error);
+    }
+
+    missing.forEach(({ chapterIndex, type }, i) => {
+      const generated = themes?.[i];
+      const rawName = generated
+        ? generated.name.trim()
+        : `Дополнительная тема ${result.placeholders + 1}`;
+      const newTheme = {
+        name: `${rawName} (${type})`,
+        rawName,
+        label: type,
+        normalizedType: type,
+        description: generated?.description || null,
+        placeholder: !generated,
+      };
+      chapters[chapterIndex].themes.push(newTheme);
+      result[generated ? "generated" : "placeholders"] += 1;
       console.log(
-        "📋 Доступные типы работ для этой дисциплины:",
-        workTypes.map(
-          (wt) => `${wt.name} (${wt.hours}ч, ID: ${wt.program_work_type_id})`
-        )
+        `➕ Added ${generated ? "generated" : "placeholder"} theme: "${
+          newTheme.name
+        }"`
       );
+    });
 
-      if (sroWorkType && sroWorkType.hours > 0) {
-        const targetSroHours = sroWorkType.hours;
+    return result;
+  }
 
-        let sroHoursForThisChapter;
+  // Complexity score of every section for the СРО split, null when the
+  // model is unavailable or the answer is invalid (contact hours are used)
+  static async estimateChapterComplexity(chapters, title, apiKey) {
+    const { min, max } = CHAPTER_COMPLEXITY_RANGE;
+    const outline = chapters
+      .map(
+        (ch, i) =>
+          `${i + 1}. ${ch.name}\n` +
+          ch.themes.map((theme) => ` - ${theme.name}`).join("\n")
+      )
+      .join("\n");
+    const prompt = `Оцени сложность каждого раздела дисциплины «${title}» для самостоятельного изучения по шкале от ${min} (простой) до ${max} (очень сложный): объём материала, новизна понятий, количество практики.
 
-        // Для малых значений СРО (меньше количества разделов) - распределяем по 1 часу
-        if (targetSroHours < chapters.length) {
-          sroHoursForThisChapter = index < targetSroHours ? 1 : 0;
-        } else {
-          // Для больших значений - используем обычную формулу
-          const hoursPerChapter = Math.floor(targetSroHours / chapters.length);
-          const remainderHours = targetSroHours % chapters.length;
+${outline}
 
-          sroHoursForThisChapter = hoursPerChapter;
-          if (index === chapters.length - 1) {
-            sroHoursForThisChapter += remainderHours;
-          }
+Ответь только JSON: {"complexity": [оценка раздела 1, оценка раздела 2, ...]} — ровно ${chapters.length} целых чисел в порядке разделов.`;
+
+    try {
+      const answer = await OpenAIService.chat(
+        [{ role: "user", content: prompt }],
+        apiKey,
+        {
+          responseFormat: {
+            type: "json_schema",
+            json_schema: {
+              name: "chapter_complexity",
+              strict: true,
+              schema: CHAPTER_COMPLEXITY_SCHEMA,
+            },
+          },
         }
+      );
+      const { value, error } = parseStructureJson(answer);
+      const errors = error
+        ? [error]
+        : validateChapterComplexity(value, chapters.length);
+      if (errors.length > 0) {
+        console.warn("⚠️ Оценка сложности разделов отклонена:", errors);
+        return null;
+      }
+      console.log("🧮 Chapter complexity:", value.complexity);
+      return value.complexity;
+    } catch (error) {
+      console.warn("⚠️ Не удалось оценить сложность разделов:", error);
+      return null;
+    }
+  }
 
-        // Добавляем СРО в wtMap "под капотом"
-        wtMap[sroWorkType.program_work_type_id] = {
-          ...sroWorkType,
-          count: sroHoursForThisChapter,
-        };
+  // Creates chapters one by one and treats the batch as a unit:
+  // on failure the changes made so far are either rolled back
+  // (rollbackOnFailure) or kept so the caller can resume from `resumeFrom`.
+  // `mode` decides what happens to chapters the discipline already has:
+  // append after them, replace them all, or merge sections by name
+  static async createChaptersFromStructure(data) {
+    const {
+      disciplineId,
+      token,
+      domain,
+      chapters,
+      workTypes,
+      startIndex = 0,
+      rollbackOnFailure = false,
+      mode = CHAPTER_CREATION_MODES.APPEND,
+      batch = {},
+      transport,
+    } = data;
+
+    // Ids of existing chapters must be current for replace/merge
+    const { chapters: existing } = await ItmoApiService.fetchChapters(
+      disciplineId,
+      token,
+      domain,
+      { transport, refresh: true }
+    );
 
-        console.log(
-          `🔧 Под капотом: Раздел "${ch.name}" получил ${sroHoursForThisChapter} СРО часов`
-        );
+    // Chapters the discipline had before this batch: a resumed batch
+    // (batch.created/updated of the earlier attempts) does not count its
+    // own chapters and sees merged chapters as they were
+    const createdIds = new Set((batch.created || []).map((c) => c.id));
+    const snapshots = new Map(
+      (batch.updated || []).map((u) => [u.id, u.snapshot])
+    );
+    const original = existing
+      .filter((chapter) => !createdIds.has(chapter.id))
+      .map((chapter) => ({ ...chapter, ...snapshots.get(chapter.id) }));
+
+    // Merge: sections with the same name extend the existing chapter
+    const existingByName = new Map(
+      original.map((chapter) => [this.normalizeName(chapter.name), chapter])
+    );
+    const matchFor = (ch) =>
+      mode === CHAPTER_CREATION_MODES.MERGE
+        ? existingByName.get(this.normalizeName(ch.name))
+        : null;
+
+    // Hours of every work type per chapter; with the hours of the chapters
+    // that stay (append, merge) they sum exactly to /info. Merged sections
+    // count only the themes the existing chapter does not have yet, and
+    // СРО pinned in the preview is kept as is
+    const kept =
+      mode === CHAPTER_CREATION_MODES.REPLACE
+        ? {}
+        : this.sumChapterHours(original);
+    const workload = solveWorkload(
+      workTypes,
+      this.countChapterThemes(
+        chapters.map((ch) => this.withoutKnownThemes(ch, matchFor(ch))),
+        workTypes,
+        await this.getWorkTypeMapping()
+      ),
+      await this.getHoursGranularity(),
+      this.getSelfStudyOptions(chapters, await this.getSelfStudyMode()),
+      kept
+    );
+
+    const report = {
+      mode,
+      workload: {
+        granularity: workload.granularity,
+        totals: workload.totals,
+        deviations: workload.deviations,
+        selfStudy: workload.selfStudy,
+      },
+      created: [],
+      updated: [],
+      deleted: [],
+      failed: [],
+      rolledBack: [],
+      completed: false,
+      resumeFrom: null,
+    };
+
+    let orderOffset = existing.reduce(
+      (max, chapter, i) => Math.max(max, chapter.order ?? i + 1),
+      0
+    );
+
+    // Replace: remove existing chapters before the first new one is created
+    if (mode === CHAPTER_CREATION_MODES.REPLACE && startIndex === 0) {
+      for (const [index, chapter] of existing.entries()) {
+        try {
+          await ItmoApiService.deleteChapter(
+            disciplineId,
+            token,
+            domain,
+            chapter.id,
+            { transport }
+          );
+          report.deleted.push({
+            index,
+            name: chapter.name,
+            id: chapter.id,
+            snapshot: this.toChapterPayload(chapter, index),
+          });
+        } catch (error) {
+          report.failed.push({
+            index,
+            name: chapter.name,
+            stage: "delete",
+            error: error.message,
+          });
+          break;
+        }
       }
+      orderOffset = 0;
+    }
 
-      const payload = {
-        order: index + 1,
-        name: ch.name,
-        themes: parsedThemes.map(({ name, order }) => ({
-          name,
-          order,
-          resources: [],
-        })),
-        program_work_types: Object.values(wtMap).map((w) => {
-          const typeName = w.name.toLowerCase();
-          const isSRO =
-            typeName.includes("сро") || typeName.includes("самостоятельн");
-
-          return {
-            program_work_type_id: w.program_work_type_id,
-            hours: isSRO ? w.count : w.count * 2, // СРО: точные часы, остальные: темы * 2
-          };
-        }),
-      };
+    for (
+      let index = startIndex;
+      index < chapters.length && report.failed.length === 0;
+      index++
+    ) {
+      const ch = chapters[index];
+      const match = matchFor(ch);
+
+      try {
+        if (match) {
+          const snapshot = this.toChapterPayload(match);
+          const payload = this.mergeChapterPayloads(
+            snapshot,
+            this.buildChapterPayload(ch, workload.chapters[index], workTypes)
+          );
+          await ItmoApiService.updateChapter(
+            disciplineId,
+            token,
+            domain,
+            match.id,
+            payload,
+            { transport }
+          );
+          report.updated.push({ index, name: ch.name, id: match.id, snapshot });
+        } else {
+          orderOffset += 1;
+          const payload = this.buildChapterPayload(
+            ch,
+            workload.chapters[index],
+            workTypes,
+            orderOffset
+          );
+          const created = await ItmoApiService.createChapter(
+            disciplineId,
+            token,
+            domain,
+            payload,
+            { transport }
+          );
+          report.created.push({
+            index,
+            name: ch.name,
+            id: ItmoApiService.extractChapterId(created),
+          });
+        }
+      } catch (error) {
+        console.error(`❌ Не удалось создать раздел "${ch.name}":`, error);
+        report.failed.push({ index, name: ch.name, error: error.message });
+        report.resumeFrom = index;
+        break;
+      }
+
+      // Small delay between requests
+      await new Promise((resolve) => setTimeout(resolve, 300));
+    }
 
-      const created = await ItmoApiService.createChapter(
+    report.completed = report.failed.length === 0;
+
+    if (!report.completed && rollbackOnFailure) {
+      const rollback = await this.rollbackChapters({
         disciplineId,
         token,
         domain,
-        payload
+        chapters: report.created,
+        updated: report.updated,
+        deleted: report.deleted,
+        transport,
+      });
+      report.rolledBack = rollback.rolledBack;
+      report.failed.push(...rollback.failed);
+      report.resumeFrom = rollback.failed.length === 0 ? 0 : null;
+    }
+
+    return report;
+  }
+
+  // Undoes a creation batch, newest change first: deletes created chapters,
+  // restores merged chapters and recreates chapters removed by "replace"
+  static async rollbackChapters(data) {
+    const {
+      disciplineId,
+      token,
+      domain,
+      chapters = [],
+      updated = [],
+      deleted = [],
+      transport,
+    } = data;
+    const result = { rolledBack: [], failed: [] };
+
+    const attempt = async (chapter, action) => {
+      try {
+        await action();
+        result.rolledBack.push(chapter);
+        console.log(`↩️ Откат: восстановлен раздел "${chapter.name}"`);
+      } catch (error) {
+        console.error(`❌ Откат раздела "${chapter.name}" не удался:`, error);
+        result.failed.push({
+          ...chapter,
+          stage: "rollback",
+          error: error.message,
+        });
+      }
+    };
+
+    for (const chapter of [...chapters].reverse()) {
+      if (chapter.id == null) {
+        result.failed.push({
+          ...chapter,
+          stage: "rollback",
+          error: "ID раздела неизвестен, удалите его вручную",
+        });
+        continue;
+      }
+      await attempt(chapter, () =>
+        ItmoApiService.deleteChapter(disciplineId, token, domain, chapter.id, {
+          transport,
+        })
       );
-      results.push(created);
+    }
 
-      // Small delay between requests
-      await new Promise((resolve) => setTimeout(resolve, 300));
+    for (const chapter of [...updated].reverse()) {
+      await attempt(chapter, () =>
+        ItmoApiService.updateChapter(
+          disciplineId,
+          token,
+          domain,
+          chapter.id,
+          chapter.snapshot,
+          { transport }
+        )
+      );
     }
 
-    return results;
+    for (const chapter of deleted) {
+      await attempt(chapter, () =>
+        ItmoApiService.createChapter(
+          disciplineId,
+          token,
+          domain,
+          chapter.snapshot,
+          { transport }
+        )
+      );
+    }
+
+    return result;
   }
 
-  static resolveWorkTypes(label, workTypes) {
-    const normalized = label?.toLowerCase();
-    const target = this.mapWorkTypeLabel(normalized);
-    if (!target) return [];
-    const match = workTypes.find((wt) =>
-      wt.name.toLowerCase().includes(target)
+  // ITMO chapter payload for one generated section;
+  // chapterHours: { [program_work_type_id]: hours } planned by solveWorkload
+  static buildChapterPayload(ch, chapterHours, workTypes, order) {
+    const themes = ch.themes.map((t, i) => ({
+      name: this.getThemeTitle(t),
+      order: i + 1,
+      resources: [],
+    }));
+
+    const programWorkTypes = workTypes
+      .filter((wt) => chapterHours[wt.program_work_type_id] > 0)
+      .map((wt) => ({
+        program_work_type_id: wt.program_work_type_id,
+        hours: chapterHours[wt.program_work_type_id],
+      }));
+
+    console.log(
+      `🔧 Раздел "${ch.name}": ${programWorkTypes
+        .map((w) => `${w.program_work_type_id}=${w.hours}ч`)
+        .join(", ")}`
     );
-    return match ? [match] : [];
+
+    return {
+      order,
+      name: ch.name,
+      themes,
+      program_work_types: programWorkTypes,
+    };
+  }
+
+  // Hour granularity of contact themes from the extension settings
+  static async getHoursGranularity() {
+    const settings = await Settings.getAll();
+    return resolveGranularity(settings.themeHourGranularity);
+  }
+
+  // What СРО hours are proportional to, from the extension settings
+  static async getSelfStudyMode() {
+    const settings = await Settings.getAll();
+    return resolveSelfStudyMode(settings.selfStudyDistribution);
+  }
+
+  // СРО options of solveWorkload from chapters of the generation result
+  // or the preview: complexity scores and hours pinned by the user
+  static getSelfStudyOptions(chapters, mode) {
+    return {
+      mode,
+      complexity: chapters.map((ch) => ch.complexity ?? null),
+      pins: chapters.map((ch) => ch.selfStudyHours ?? null),
+    };
+  }
+
+  // Work type label of a generated or edited theme, "Тема (лекция)" → лекция
+  static getThemeLabel(theme) {
+    return (
+      theme.normalizedType ||
+      theme.label ||
+      theme.name.match(/\(([^)]+)\)$/)?.[1] ||
+      null
+    );
+  }
+
+  // Theme name without the work type label, "Тема (лекция)" → Тема
+  static getThemeTitle(theme) {
+    return theme.name.replace(/\s*\(([^)]+)\)\s*$/, "").trim();
+  }
+
+  // Generated chapter without the themes `match` already has; those are
+  // dropped by mergeChapterPayloads and must not get hours
+  static withoutKnownThemes(ch, match) {
+    if (!match) return ch;
+    const known = new Set(
+      (match.themes || []).map((theme) => this.normalizeName(theme.name))
+    );
+    return {
+      ...ch,
+      themes: ch.themes.filter(
+        (theme) => !known.has(this.normalizeName(this.getThemeTitle(theme)))
+      ),
+    };
+  }
+
+  // { [program_work_type_id]: hours } over the given chapters
+  static sumChapterHours(chapters) {
+    const hours = {};
+    chapters.forEach((chapter) =>
+      (chapter.program_work_types || []).forEach((w) => {
+        hours[w.program_work_type_id] =
+          (hours[w.program_work_type_id] || 0) + w.hours;
+      })
+    );
+    return hours;
+  }
+
+  // Labels the user mapped to program_work_type_id in settings
+  static async getWorkTypeMapping() {
+    const settings = await Settings.getAll();
+    return Array.isArray(settings.workTypeMapping)
+      ? settings.workTypeMapping
+      : [];
+  }
+
+  // Themes per /info work type for every chapter, input of solveWorkload
+  static countChapterThemes(chapters, workTypes, mapping = []) {
+    return chapters.map((ch) => {
+      const counts = {};
+      ch.themes.forEach((theme) => {
+        this.resolveWorkTypes(
+          this.getThemeLabel(theme),
+          workTypes,
+          mapping
+        ).forEach((wt) => {
+          counts[wt.program_work_type_id] =
+            (counts[wt.program_work_type_id] || 0) + 1;
+        });
+      });
+      return counts;
+    });
   }
 
-  static mapWorkTypeLabel(label) {
-    const map = {
-      лекция: "лекция",
-      лабораторная: "лабораторная",
-      лаб: "лабораторная",
-      практика: "практика",
-      практическая: "практика",
-      сро: "сро",
-      консультация: "консультация",
+  // Payload that recreates an existing chapter as returned by the API
+  static toChapterPayload(chapter, index = 0) {
+    return {
+      order: chapter.order ?? index + 1,
+      name: chapter.name,
+      themes: (chapter.themes || []).map((theme, i) => ({
+        name: theme.name,
+        order: theme.order ?? i + 1,
+        resources: theme.resources || [],
+      })),
+      program_work_types: (chapter.program_work_types || []).map((w) => ({
+        program_work_type_id: w.program_work_type_id,
+        hours: w.hours,
+      })),
     };
-    return map[label];
+  }
+
+  // Existing chapter extended with the themes and hours of a generated one
+  static mergeChapterPayloads(existing, generated) {
+    const knownThemes = new Set(
+      existing.themes.map((t) => this.normalizeName(t.name))
+    );
+    const newThemes = generated.themes.filter(
+      (t) => !knownThemes.has(this.normalizeName(t.name))
+    );
+
+    const hours = new Map();
+    [...existing.program_work_types, ...generated.program_work_types].forEach(
+      (w) =>
+        hours.set(
+          w.program_work_type_id,
+          (hours.get(w.program_work_type_id) || 0) + w.hours
+        )
+    );
+
+    return {
+      ...existing,
+      themes: [
+        ...existing.themes,
+        ...newThemes.map((t, i) => ({
+          ...t,
+          order: existing.themes.length + i + 1,
+        })),
+      ],
+      program_work_types: [...hours].map(([program_work_type_id, h]) => ({
+        program_work_type_id,
+        hours: h,
+      })),
+    };
+  }
+
+  static normalizeName(name) {
+    return (name || "").toLowerCase().replace(/\s+/g, " ").trim();
+  }
+
+  static resolveWorkTypes(label, workTypes, mapping = []) {
+    const match = findWorkTypeForLabel(label, workTypes, mapping);
+    return match ? [match] : [];
   }
 }
 
@@ -1092,7 +2571,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           result = await ItmoApiService.fetchDisciplineInfo(
             data.disciplineId,
             data.token,
-            data.domain
+            data.domain,
+            { transport: data.transport, refresh: data.refresh }
           );
           break;
 
@@ -1100,7 +2580,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           result = await ItmoApiService.fetchCourseStructure(
             data.disciplineId,
             data.token,
-            data.domain
+            data.domain,
+            { transport: data.transport, refresh: data.refresh }
+          );
+          break;
+
+        case MESSAGE_TYPES.FETCH_CHAPTERS:
+          result = await ItmoApiService.fetchChapters(
+            data.disciplineId,
+            data.token,
+            data.domain,
+            { transport: data.transport, refresh: data.refresh }
           );
           break;
 
@@ -1108,16 +2598,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           result = await ItmoApiService.findApprovedPrograms(
             data.disciplineId,
             data.token,
-            data.domain
+            data.domain,
+            { transport: data.transport, refresh: data.refresh }
           );
           break;
 
+        case MESSAGE_TYPES.FIND_SIMILAR_PROGRAMS:
+          result = await SimilarProgramService.findSimilar(data);
+          break;
+
+        case MESSAGE_TYPES.SELECT_REFERENCE:
+          result = await ReferenceSelectionService.select(data);
+          break;
+
         case MESSAGE_TYPES.CREATE_CHAPTER:
           result = await ItmoApiService.createChapter(
             data.disciplineId,
             data.token,
             data.domain,
-            data.chapterData
+            data.chapterData,
+            { transport: data.transport, refresh: data.refresh }
           );
           break;
 
@@ -1140,11 +2640,60 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           );
           break;
 
+        case MESSAGE_TYPES.ROLLBACK_CHAPTERS:
+          result = await StructureGenerationService.rollbackChapters(data);
+          break;
+
+        case MESSAGE_TYPES.EDIT_STRUCTURE_SECTION:
+          result = await StructureGenerationService.editSection(data);
+          break;
+
         case MESSAGE_TYPES.EVALUATE_DISCIPLINE:
           result = await EvaluationService.evaluateDiscipline(
             data.courseText,
             data.referenceText
           );
+          // Keep the run in the discipline's history
+          if (data.disciplineId) {
+            await EvaluationHistoryService.addEntry(data.disciplineId, {
+              referenceId: data.referenceId,
+              courseText: data.courseText,
+              result: result.result,
+            });
+          }
+          break;
+
+        case MESSAGE_TYPES.EVALUATE_MULTI_REFERENCE:
+          result = await EvaluationService.evaluateAgainstReferences(data);
+          if (data.disciplineId) {
+            await EvaluationHistoryService.addEntry(data.disciplineId, {
+              referenceId: data.referenceIds.join(","),
+              courseText: data.courseText,
+              result: result.result,
+            });
+          }
+          break;
+
+        case MESSAGE_TYPES.START_BATCH_EVALUATION:
+          result = await BatchEvaluationService.start(data);
+          break;
+
+        case MESSAGE_TYPES.GET_BATCH_STATUS:
+          result = await BatchEvaluationService.getJob();
+          break;
+
+        case MESSAGE_TYPES.CANCEL_BATCH_EVALUATION:
+          result = await BatchEvaluationService.cancel();
+          break;
+
+        case MESSAGE_TYPES.GET_EVALUATION_HISTORY:
+          result = await EvaluationHistoryService.getHistory(data.disciplineId);
+          break;
+
+        case MESSAGE_TYPES.CLEAR_EVALUATION_HISTORY:
+          result = await EvaluationHistoryService.clearHistory(
+            data.disciplineId
+          );
           break;
 
         case MESSAGE_TYPES.TRACK_EVALUATION:
@@ -1206,7 +2755,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     } catch (error) {
       console.error(`❌ Background error for ${type}:`, error);
       sendResponse(
-        createResponse(false, null, error.message || "Unknown error occurred")
+        createResponse(
+          false,
+          null,
+          error.message || "Unknown error occurred",
+          error.code
+        )
       );
     }
   };
@@ -1226,3 +2780,7 @@ chrome.runtime.onStartup.addListener(() => {
 chrome.runtime.onInstalled.addListener(() => {
   console.log("📦 ITMO Discipline Evaluator installed/updated");
 });
+
+// The worker may have been stopped in the middle of a batch job
+BatchEvaluationService.resume();
+ItmoCacheService.prune();
@@ -0,0 +1,279 @@
+// Batch evaluation page
+// Starts a batch job in the background worker and renders its progress from
+// chrome.storage, so the page can be closed and reopened at any time
+
+import { BackgroundApi } from "../services/index.js";
+import { BATCH_STATUS, BATCH_JOB_STORAGE_KEY } from "../types/index.js";
+import {
+  getMetricClass,
+  loadMetricThresholds,
+  REFERENCE_METRICS,
+} from "../utils/metrics.js";
+import { toCsv, toXlsx } from "../utils/tableExport.js";
+import { downloadFile } from "../utils/utils.js";
+
+const STATUS_TITLES = {
+  [BATCH_STATUS.PENDING]: "⏳ в очереди",
+  [BATCH_STATUS.RUNNING]: "🔄 оценивается",
+  [BATCH_STATUS.DONE]: "✅ готово",
+  [BATCH_STATUS.ERROR]: "❌ ошибка",
+  [BATCH_STATUS.CANCELLED]: "⏹ остановлено",
+};
+
+// "12345" or "12345; 67890" per line, the second id is the reference
+export function parseBatchInput(text) {
+  const seen = new Set();
+  return (text || "")
+    .split(/\r?\n/)
+    .map((line) => line.match(/\d+/g))
+    .filter(Boolean)
+    .map(([disciplineId, referenceId]) => ({
+      disciplineId,
+      referenceId: referenceId || null,
+    }))
+    .filter((item) => {
+      if (seen.has(item.disciplineId)) return false;
+      seen.add(item.disciplineId);
+      return true;
+    });
+}
+
+class BatchPage {
+  constructor() {
+    this.job = null;
+    this.sortKey = null;
+    this.sortAsc = true;
+
+    this.idsInput = document.getElementById("idsInput");
+    this.idsFile = document.getElementById("idsFile");
+    this.concurrencyInput = document.getElementById("concurrencyInput");
+    this.progressText = document.getElementById("progressText");
+    this.progressBar = document.getElementById("progressBar");
+    this.resultsTable = document.getElementById("resultsTable");
+    this.startButton = document.getElementById("startButton");
+    this.cancelButton = document.getElementById("cancelButton");
+    this.exportCsvButton = document.getElementById("exportCsvButton");
+    this.exportXlsxButton = document.getElementById("exportXlsxButton");
+  }
+
+  async init() {
+    this.startButton.addEventListener("click", () => this.start());
+    this.cancelButton.addEventListener("click", () => this.cancel());
+    this.exportCsvButton.addEventListener("click", () => this.exportCsv());
+    this.exportXlsxButton.addEventListener("click", () => this.exportXlsx());
+    this.idsFile.addEventListener("change", () => this.loadFile());
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && changes[BATCH_JOB_STORAGE_KEY]) {
+        this.job = changes[BATCH_JOB_STORAGE_KEY].newValue || null;
+        this.render();
+      }
+    });
+
+    await loadMetricThresholds();
+    this.job = await BackgroundApi.getBatchStatus();
+    this.render();
+  }
+
+  async loadFile() {
+    const file = this.idsFile.files[0];
+    if (!file) return;
+    this.idsInput.value = await file.text();
+  }
+
+  async start() {
+    const items = parseBatchInput(this.idsInput.value);
+    if (items.length === 0) {
+      alert("Введите хотя бы один ID дисциплины");
+      return;
+    }
+
+    try {
+      this.startButton.disabled = true;
+      this.job = await BackgroundApi.startBatchEvaluation(
+        items,
+        parseInt(this.concurrencyInput.value, 10)
+      );
+      this.render();
+    } catch (error) {
+      console.error("❌ Failed to start batch evaluation:", error);
+      alert(error.message);
+      this.startButton.disabled = false;
+    }
+  }
+
+  async cancel() {
+    try {
+      await BackgroundApi.cancelBatchEvaluation();
+      this.progressText.textContent =
+        "⏹ Останавливаем после текущих запросов...";
+    } catch (error) {
+      console.error("❌ Failed to cancel batch evaluation:", error);
+    }
+  }
+
+  // Metric columns present in at least one result
+  getMetricKeys() {
+    const items = this.job?.items || [];
+    return REFERENCE_METRICS.filter((key) =>
+      items.some((item) => typeof item.result?.[key] === "number")
+    );
+  }
+
+  getColumns() {
+    return [
+      { key: "disciplineId", title: "ID", value: (item) => item.disciplineId },
+      { key: "name", title: "Название", value: (item) => item.name || "" },
+      {
+        key: "referenceId",
+        title: "Эталон",
+        value: (item) => item.referenceId || "",
+      },
+      {
+        key: "status",
+        title: "Статус",
+        value: (item) => STATUS_TITLES[item.status] || item.status,
+      },
+      ...this.getMetricKeys().map((key) => ({
+        key,
+        title: key,
+        metric: true,
+        value: (item) => item.result?.[key] ?? null,
+      })),
+      { key: "error", title: "Ошибка", value: (item) => item.error || "" },
+    ];
+  }
+
+  getSortedItems(columns) {
+    const items = [...(this.job?.items || [])];
+    const column = columns.find((c) => c.key === this.sortKey);
+    if (!column) return items;
+
+    const direction = this.sortAsc ? 1 : -1;
+    return items.sort((a, b) => {
+      const left = column.value(a);
+      const right = column.value(b);
+      // Empty values always go last
+      const leftEmpty = left == null || left === "";
+      const rightEmpty = right == null || right === "";
+      if (leftEmpty || rightEmpty) return leftEmpty - rightEmpty;
+      if (typeof left === "number" && typeof right === "number") {
+        return (left - right) * direction;
+      }
+      return (
+        String(left).localeCompare(String(right), "ru", { numeric: true }) *
+        direction
+      );
+    });
+  }
+
+  render() {
+    const job = this.job;
+    const items = job?.items || [];
+    const finished = items.filter(
+      (item) =>
+        item.status === BATCH_STATUS.DONE || item.status === BATCH_STATUS.ERROR
+    ).length;
+    const failed = items.filter(
+      (item) => item.status === BATCH_STATUS.ERROR
+    ).length;
+    const running = job?.status === BATCH_STATUS.RUNNING;
+
+    this.progressBar.max = Math.max(items.length, 1);
+    this.progressBar.value = finished;
+    if (!job) {
+      this.progressText.textContent = "Оценка ещё не запускалась.";
+    } else {
+      this.progressText.textContent =
+        `${STATUS_TITLES[job.status]}: ${finished} из ${items.length}` +
+        (failed ? `, ошибок: ${failed}` : "") +
+        ` · запущено ${new Date(job.startedAt).toLocaleString("ru-RU")}`;
+    }
+
+    this.startButton.disabled = running;
+    this.cancelButton.disabled = !running;
+    this.exportCsvButton.disabled = finished === 0;
+    this.exportXlsxButton.disabled = finished === 0;
+
+    this.renderTable();
+  }
+
+  renderTable() {
+    const columns = this.getColumns();
+    this.resultsTable.innerHTML = "";
+    if (!this.job) return;
+
+    const head = document.createElement("tr");
+    columns.forEach((column) => {
+      const th = document.createElement("th");
+      const arrow =
+        this.sortKey === column.key ? (this.sortAsc ? " ▲" : " ▼") : "";
+      th.textContent = column.title + arrow;
+      th.addEventListener("click", () => {
+        this.sortAsc = this.sortKey === column.key ? !this.sortAsc : true;
+        this.sortKey = column.key;
+        this.renderTable();
+      });
+      head.appendChild(th);
+    });
+    this.resultsTable.appendChild(head);
+
+    this.getSortedItems(columns).forEach((item) => {
+      const row = document.createElement("tr");
+      columns.forEach((column) => {
+        const td = document.createElement("td");
+        const value = column.value(item);
+        if (column.metric) {
+          td.className = "number";
+          if (typeof value === "number") {
+            td.classList.add(getMetricClass(column.key, value));
+            td.textContent = value.toFixed(3);
+          }
+        } else {
+          td.textContent = value;
+          if (column.key === "error") td.className = "error-text";
+        }
+        row.appendChild(td);
+      });
+      this.resultsTable.appendChild(row);
+    });
+  }
+
+  // Export follows the current sort order; metrics stay numeric
+  getExportTable() {
+    const columns = this.getColumns();
+    return {
+      headers: columns.map((column) => column.title),
+      rows: this.getSortedItems(columns).map((item) =>
+        columns.map((column) => column.value(item))
+      ),
+    };
+  }
+
+  getExportFileName(extension) {
+    const date = new Date(this.job.startedAt).toISOString().slice(0, 10);
+    return `batch_evaluation_${date}.${extension}`;
+  }
+
+  exportCsv() {
+    const { headers, rows } = this.getExportTable();
+    downloadFile(
+      this.getExportFileName("csv"),
+      toCsv(headers, rows),
+      "text/csv"
+    );
+  }
+
+  exportXlsx() {
+    const { headers, rows } = this.getExportTable();
+    downloadFile(
+      this.getExportFileName("xlsx"),
+      toXlsx(headers, rows, "Оценки"),
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  new BatchPage().init();
+});
@@ -1,3 +1,21 @@
 export const ENDPOINT = "https://metrics.polinashneider.space/api";
 export const PROD_ENDPOINT = "https://metrics.polinashneider.space/api";
 export const DEV_ENDPOINT = "https://dev.my.itmo.su";
+
+// education_levels[].id from /info
+export const EDUCATION_LEVELS = {
+  1: "специалитет",
+  2: "бакалавриат",
+  3: "магистратура",
+  4: "аспирантура",
+};
+
+// status_id / program_type_id of /programs/list; only the ids the
+// extension relies on are named, other values can still be sent
+export const PROGRAM_STATUSES = {
+  6: "утверждена",
+};
+
+export const PROGRAM_TYPES = {
+  1: "дисциплина",
+};
@@ -1,4 +1,11 @@
 // Constants Index - Central export for all configuration constants
 // This file provides a clean interface for importing configuration
 
-export { ENDPOINT, DEV_ENDPOINT, PROD_ENDPOINT } from "./config.js";
+export {
+  ENDPOINT,
+  DEV_ENDPOINT,
+  PROD_ENDPOINT,
+  EDUCATION_LEVELS,
+  PROGRAM_STATUSES,
+  PROGRAM_TYPES,
+} from "./config.js";
@@ -7,8 +7,12 @@ const MESSAGE_TYPES = {
   // ITMO API
   FETCH_DISCIPLINE_INFO: "fetchDisciplineInfo",
   FETCH_COURSE_STRUCTURE: "fetchCourseStructure",
+  FETCH_CHAPTERS: "fetchChapters",
   FIND_APPROVED_PROGRAMS: "findApprovedPrograms",
+  FIND_SIMILAR_PROGRAMS: "findSimilarPrograms",
+  SELECT_REFERENCE: "selectReference",
   CREATE_CHAPTER: "createChapter",
+  GENERATE_STRUCTURE: "generateStructure",
 
   // Token management
   STORE_TOKEN: "storeToken",
@@ -18,12 +22,24 @@ const MESSAGE_TYPES = {
   // Analytics
   TRACK_EVALUATION: "trackEvaluation",
 
+  // Evaluation history
+  GET_EVALUATION_HISTORY: "getEvaluationHistory",
+  CLEAR_EVALUATION_HISTORY: "clearEvaluationHistory",
+
+  // Batch evaluation
+  START_BATCH_EVALUATION: "startBatchEvaluation",
+  GET_BATCH_STATUS: "getBatchStatus",
+  CANCEL_BATCH_EVALUATION: "cancelBatchEvaluation",
+
   // External API
   EVALUATE_DISCIPLINE: "evaluateDiscipline",
+  EVALUATE_MULTI_REFERENCE: "evaluateMultiReference",
   CALL_OPENAI: "callOpenAI",
 
   // Structure generation
   CREATE_CHAPTERS_FROM_STRUCTURE: "createChaptersFromStructure",
+  ROLLBACK_CHAPTERS: "rollbackChapters",
+  EDIT_STRUCTURE_SECTION: "editStructureSection",
 
   // ITMO API Proxy (through content script)
   ITMO_API_PROXY: "itmoApiProxy",
@@ -142,7 +158,11 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           sendResponse({ success: true, data: result });
         })
         .catch((error) => {
-          sendResponse({ success: false, error: error.message });
+          sendResponse({
+            success: false,
+            error: error.message,
+            networkError: error instanceof TypeError,
+          });
         });
       return true;
 
@@ -267,7 +287,8 @@ async function handleItmoApiProxy(data) {
 
   console.log("🔄 Content script handling ITMO API proxy:", method, endpoint);
 
-  const token = getTokenFromCookies();
+  // Background sends a token it has already checked for expiry
+  const token = data.token || getTokenFromCookies();
   if (!token) {
     throw new Error("❌ No authentication token found in cookies");
   }
@@ -315,9 +336,17 @@ async function handleItmoApiProxy(data) {
     throw new Error(`ITMO API Error ${response.status}: ${text}`);
   }
 
-  return await response.json();
+  // DELETE and some POST endpoints answer with an empty body
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
 }
 
+// Sidebar panel - an ES module, so it is loaded with dynamic import();
+// it shows itself only on the ?p=chapters page and follows SPA navigation
+import(chrome.runtime.getURL("src/content/sidebar.js"))
+  .then((module) => module.initSidebar({ getToken: getTokenFromCookies }))
+  .catch((error) => console.error("❌ Failed to load sidebar:", error));
+
 // Export for potential use by other scripts (though this shouldn't be needed)
 window.itmoEvaluator = {
   getTokenFromCookies,
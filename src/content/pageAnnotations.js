@@ -0,0 +1,144 @@
+// Page Annotations - badges next to chapters and themes on the ITMO page
+// The page markup is not ours, so targets are found by their visible text
+// (or the value of an edit field) instead of by selectors
+
+import { normalizeName } from "../utils/structureDiff.js";
+import { ANNOTATION_KINDS } from "../utils/annotations.js";
+
+export const BADGE_CLASS = "itmo-evaluator-badge";
+
+const KIND_STYLES = {
+  [ANNOTATION_KINDS.REDUNDANT]: { icon: "🔁", color: "#856404", bg: "#FFF3CD" },
+  [ANNOTATION_KINDS.OFF_TOPIC]: { icon: "🎯", color: "#721C24", bg: "#F8D7DA" },
+  [ANNOTATION_KINDS.ADVICE]: { icon: "💡", color: "#0C5460", bg: "#D1ECF1" },
+};
+
+// "1. Введение" and "Тема 2. Введение" on the page match "Введение"
+function normalizePageText(text) {
+  return normalizeName(text).replace(/^(?:(?:раздел|тема)\s+)?\d+\s+/, "");
+}
+
+// Calls visit(text, element) for the own text or edit field value of every
+// element, the sidebar host and badges skipped
+function visitPage(root, excluded, visit) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+    acceptNode: (node) =>
+      node === excluded || node.classList.contains(BADGE_CLASS)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT,
+  });
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.matches("input[type=text], input:not([type]), textarea")) {
+      visit(node.value, node);
+      continue;
+    }
+    const ownText = [...node.childNodes]
+      .filter((child) => child.nodeType === Node.TEXT_NODE)
+      .map((child) => child.textContent)
+      .join(" ");
+    visit(ownText, node);
+  }
+}
+
+// Normalized text → elements showing it
+function indexPage(root, excluded) {
+  const index = new Map();
+  visitPage(root, excluded, (text, element) => {
+    const key = normalizePageText(text);
+    if (!key) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(element);
+  });
+  return index;
+}
+
+// Smallest element showing every name found on the page (the chapter list
+// for chapter and theme names), null when none of them is shown
+export function findNamesContainer(
+  names,
+  { root = document.body, excluded = null } = {}
+) {
+  const index = indexPage(root, excluded);
+  const elements = names.flatMap(
+    (name) => index.get(normalizePageText(name)) || []
+  );
+  if (elements.length === 0) return null;
+
+  let container = elements[0];
+  while (!elements.every((element) => container.contains(element))) {
+    container = container.parentElement;
+  }
+  return container;
+}
+
+// Normalized text of an element, badges excluded: a snapshot to compare
+export function getPageText(element) {
+  const texts = [];
+  visitPage(element, null, (text) => {
+    const normalized = normalizePageText(text);
+    if (normalized) texts.push(normalized);
+  });
+  return texts.join("\n");
+}
+
+function createBadge(kind, items) {
+  const style = KIND_STYLES[kind];
+  const badge = document.createElement("span");
+  badge.className = BADGE_CLASS;
+  badge.textContent =
+    items.length > 1 ? `${style.icon}${items.length}` : style.icon;
+  badge.title = items.map((item) => item.text).join("\n");
+  badge.style.cssText =
+    `display:inline-block;margin-left:6px;padding:0 6px;border-radius:10px;` +
+    `font-size:12px;line-height:18px;cursor:help;vertical-align:middle;` +
+    `color:${style.color};background-color:${style.bg}`;
+  return badge;
+}
+
+export function clearAnnotations(root = document.body) {
+  root.querySelectorAll(`.${BADGE_CLASS}`).forEach((badge) => badge.remove());
+}
+
+// Replaces the badges on the page, returns the number of annotated elements
+export function applyAnnotations(
+  annotations,
+  { root = document.body, excluded = null } = {}
+) {
+  clearAnnotations(root);
+  if (!annotations?.length) return 0;
+
+  const index = indexPage(root, excluded);
+  const byTarget = new Map();
+  annotations.forEach((annotation) => {
+    const key = normalizePageText(annotation.name);
+    if (!byTarget.has(key)) byTarget.set(key, []);
+    byTarget.get(key).push(annotation);
+  });
+
+  let annotated = 0;
+  byTarget.forEach((items, key) => {
+    const elements = index.get(key);
+    if (!elements) return;
+
+    const byKind = new Map();
+    items.forEach((item) => {
+      if (!byKind.has(item.kind)) byKind.set(item.kind, []);
+      byKind.get(item.kind).push(item);
+    });
+
+    elements.forEach((element) => {
+      byKind.forEach((kindItems, kind) => {
+        const badge = createBadge(kind, kindItems);
+        // Badges cannot live inside edit fields
+        if (element.matches("input, textarea")) {
+          element.insertAdjacentElement("afterend", badge);
+        } else {
+          element.appendChild(badge);
+        }
+      });
+      annotated++;
+    });
+  });
+  return annotated;
+}
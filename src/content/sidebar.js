@@ -0,0 +1,634 @@
+// Sidebar Panel - collapsible evaluation panel on the ITMO chapters page
+// Loaded by content.js via dynamic import(), so it can use the shared
+// ES modules. Rendered in a shadow root to keep page and panel styles apart
+
+import { BackgroundApi } from "../services/backgroundApi.js";
+import { ChapterCreationBatch } from "../popup/chapterCreation.js";
+import {
+  CHAPTER_CREATION_MODES,
+  EVALUATION_HISTORY_STORAGE_KEY,
+} from "../types/messageTypes.js";
+import {
+  getMetricClass,
+  loadMetricThresholds,
+  REFERENCE_METRICS,
+} from "../utils/metrics.js";
+import {
+  StructurePreview,
+  formatCreationReport,
+} from "../popup/structurePreview.js";
+import { buildAnnotations } from "../utils/annotations.js";
+import { parseCourseText } from "../utils/structureDiff.js";
+import {
+  applyAnnotations,
+  clearAnnotations,
+  findNamesContainer,
+  getPageText,
+  BADGE_CLASS,
+} from "./pageAnnotations.js";
+
+const COLLAPSED_STORAGE_KEY = "sidebarCollapsed";
+const ANNOTATIONS_STORAGE_KEY = "annotationsEnabled";
+
+// Page re-renders are batched before the badges are placed again
+const ANNOTATIONS_REFRESH_DELAY = 500;
+
+// Page mutations are batched before the chapter list on the page is
+// compared, and the chapters are fetched at most once per interval
+const CHAPTERS_REFRESH_DELAY = 2000;
+const CHAPTERS_REFRESH_INTERVAL = 10000;
+
+const SIDEBAR_CSS = `
+:host { all: initial; }
+.sidebar { position: fixed; top: 80px; right: 0; z-index: 10000; display: flex; align-items: flex-start; font-family: system-ui, -apple-system, sans-serif; font-size: 14px; }
+.sidebar-toggle { width: 36px; padding: 10px 0; margin: 0; border-radius: 8px 0 0 8px; }
+.sidebar-panel { width: 360px; max-height: calc(100vh - 120px); overflow-y: auto; padding: 16px; background-color: #F9FAFB; border: 1px solid #ddd; border-right: none; border-radius: 0 0 0 8px; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15); }
+.sidebar.collapsed .sidebar-panel { display: none; }
+.sidebar-status { font-size: 12px; color: #6B7280; margin: 0 0 8px 0; }
+.sidebar-status.stale { color: #856404; }
+.sidebar-option { display: flex; align-items: center; gap: 6px; font-size: 12px; margin: 8px 0; }
+.sidebar-option input { width: auto; margin: 0; }
+`;
+
+function el(tag, props = {}, children = []) {
+  const node = document.createElement(tag);
+  Object.entries(props).forEach(([key, value]) => {
+    if (key === "className") node.className = value;
+    else if (key === "text") node.textContent = value;
+    else if (key.startsWith("on")) node.addEventListener(key.slice(2), value);
+    else node.setAttribute(key, value);
+  });
+  children.forEach((child) => child && node.appendChild(child));
+  return node;
+}
+
+function getDisciplineId() {
+  const match = location.pathname.match(/programs\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+function isChaptersPage() {
+  return Boolean(getDisciplineId()) && location.href.includes("p=chapters");
+}
+
+class SidebarPanel {
+  constructor({ getToken }) {
+    this.getToken = getToken;
+    this.host = null;
+    this.disciplineId = null;
+    this.latestEntry = null;
+    this.currentCourseText = null;
+    this.chapterListText = null;
+    this.generation = null;
+    this.checkTimeout = null;
+    this.refreshTimeout = null;
+    this.lastRefreshAt = 0;
+    this.annotationsTimeout = null;
+  }
+
+  // Shows or removes the panel for the current URL (ITMO is an SPA)
+  async sync() {
+    if (!isChaptersPage()) {
+      this.unmount();
+      return;
+    }
+    const disciplineId = getDisciplineId();
+    if (this.disciplineId === disciplineId) return;
+
+    this.unmount();
+    this.disciplineId = disciplineId;
+    await this.mount(disciplineId);
+  }
+
+  async mount(disciplineId) {
+    await loadMetricThresholds();
+    const {
+      [COLLAPSED_STORAGE_KEY]: collapsed,
+      [ANNOTATIONS_STORAGE_KEY]: annotationsEnabled,
+    } = await chrome.storage.local.get([
+      COLLAPSED_STORAGE_KEY,
+      ANNOTATIONS_STORAGE_KEY,
+    ]);
+    // Navigated elsewhere while loading
+    if (this.disciplineId !== disciplineId) return;
+
+    this.host = el("div", { id: "itmo-evaluator-sidebar" });
+    const shadow = this.host.attachShadow({ mode: "open" });
+    shadow.append(
+      el("link", {
+        rel: "stylesheet",
+        href: chrome.runtime.getURL("src/popup/styles.css"),
+      }),
+      el("style", { text: SIDEBAR_CSS }),
+      this.render(collapsed !== false, annotationsEnabled !== false)
+    );
+    document.body.appendChild(this.host);
+
+    await this.loadLatestEvaluation();
+    if (!this.isCollapsed()) this.scheduleChaptersRefresh(0);
+  }
+
+  unmount() {
+    this.host?.remove();
+    this.host = null;
+    clearTimeout(this.checkTimeout);
+    this.checkTimeout = null;
+    clearTimeout(this.refreshTimeout);
+    this.refreshTimeout = null;
+    clearTimeout(this.annotationsTimeout);
+    this.annotationsTimeout = null;
+    clearAnnotations();
+    this.disciplineId = null;
+    this.latestEntry = null;
+    this.currentCourseText = null;
+    this.chapterListText = null;
+    this.generation = null;
+  }
+
+  isCollapsed() {
+    return this.root.classList.contains("collapsed");
+  }
+
+  render(collapsed, annotationsEnabled) {
+    this.status = el("p", { className: "sidebar-status" });
+    this.metricsTable = el("table", { className: "metrics-table" });
+    this.adviceList = el("ul", { className: "advice-list" });
+    this.referenceInput = el("input", {
+      type: "text",
+      placeholder: "ID эталона (необязательно)",
+    });
+    this.evaluateBtn = el("button", {
+      className: "btn-secondary",
+      text: "Оценить",
+      onclick: () => this.evaluate(),
+    });
+    this.generateBtn = el("button", {
+      className: "btn-primary",
+      text: "Сгенерировать структуру",
+      onclick: () => this.generate(),
+    });
+    this.annotationsToggle = el("input", {
+      type: "checkbox",
+      onchange: () =>
+        this.setAnnotationsEnabled(this.annotationsToggle.checked),
+    });
+    this.annotationsToggle.checked = annotationsEnabled;
+    this.output = el("pre", { className: "hidden" });
+    this.generationBlock = this.renderGenerationBlock();
+
+    const panel = el("div", { className: "sidebar-panel" }, [
+      el("h3", { text: "Оценка дисциплины" }),
+      this.status,
+      el("h4", { text: "📊 Метрики" }),
+      this.metricsTable,
+      el("h4", { text: "💡 Советы" }),
+      this.adviceList,
+      el("label", { className: "sidebar-option" }, [
+        this.annotationsToggle,
+        document.createTextNode("Показывать замечания на странице"),
+      ]),
+      this.referenceInput,
+      this.evaluateBtn,
+      this.generateBtn,
+      this.output,
+      this.generationBlock,
+    ]);
+
+    const toggle = el("button", {
+      className: "sidebar-toggle",
+      text: "📊",
+      title: "Панель оценки дисциплины",
+      onclick: () => this.toggle(),
+    });
+
+    this.root = el("div", { className: "sidebar" }, [toggle, panel]);
+    this.root.classList.toggle("collapsed", collapsed);
+    return this.root;
+  }
+
+  renderGenerationBlock() {
+    this.previewSummary = el("pre");
+    this.modeSelect = el(
+      "select",
+      { className: "preview-select" },
+      [
+        [CHAPTER_CREATION_MODES.APPEND, "Добавить после существующих"],
+        [CHAPTER_CREATION_MODES.REPLACE, "Заменить все (удалить и создать)"],
+        [CHAPTER_CREATION_MODES.MERGE, "Объединить по названию раздела"],
+      ].map(([value, text]) => el("option", { value, text }))
+    );
+    this.preview = new StructurePreview(el("div"), {
+      onSectionAction: (action, index, chapters) =>
+        this.editSection(action, index, chapters),
+    });
+    this.createBtn = el("button", {
+      className: "btn-primary",
+      text: "Создать разделы",
+      onclick: () => this.createChapters(),
+    });
+
+    return el("div", { className: "preview-container hidden" }, [
+      el("h4", { text: "📝 Предпросмотр структуры" }),
+      this.previewSummary,
+      this.modeSelect,
+      this.preview.container,
+      this.createBtn,
+      el("button", {
+        className: "btn-settings",
+        text: "Отмена",
+        onclick: () => this.hideGeneration(),
+      }),
+    ]);
+  }
+
+  async toggle() {
+    const collapsed = !this.isCollapsed();
+    this.root.classList.toggle("collapsed", collapsed);
+    await chrome.storage.local.set({ [COLLAPSED_STORAGE_KEY]: collapsed });
+    if (!collapsed) this.scheduleChaptersRefresh(0);
+  }
+
+  showOutput(text) {
+    this.output.textContent = text;
+    this.output.classList.toggle("hidden", !text);
+  }
+
+  async loadLatestEvaluation() {
+    try {
+      const history = await BackgroundApi.getEvaluationHistory(
+        this.disciplineId
+      );
+      this.latestEntry = history[history.length - 1] || null;
+    } catch (error) {
+      console.warn("⚠️ Sidebar could not load evaluation history:", error);
+      this.latestEntry = null;
+    }
+    this.renderEvaluation();
+  }
+
+  renderEvaluation() {
+    const entry = this.latestEntry;
+    this.metricsTable.innerHTML = "";
+    this.adviceList.innerHTML = "";
+
+    if (!entry) {
+      this.renderStatus();
+      return;
+    }
+
+    REFERENCE_METRICS.filter(
+      (key) => typeof entry.result?.[key] === "number"
+    ).forEach((key) => {
+      const value = entry.result[key];
+      this.metricsTable.appendChild(
+        el("tr", {}, [
+          el("td", { text: key }),
+          el("td", {
+            className: getMetricClass(key, value),
+            text: value.toFixed(3),
+          }),
+        ])
+      );
+    });
+
+    (entry.result?.advice || []).forEach((advice) =>
+      this.adviceList.appendChild(el("li", { text: advice }))
+    );
+    this.renderStatus();
+    this.renderAnnotations();
+  }
+
+  // Entries saved before annotations were added get them computed here
+  getAnnotations() {
+    const entry = this.latestEntry;
+    if (!entry?.result) return [];
+    return (
+      entry.result.annotations ||
+      buildAnnotations(entry.courseText || "", entry.result)
+    );
+  }
+
+  renderAnnotations() {
+    if (!this.host) return;
+    if (!this.annotationsToggle.checked) {
+      clearAnnotations();
+      return;
+    }
+    applyAnnotations(this.getAnnotations(), { excluded: this.host });
+  }
+
+  // Called on page mutations; ITMO re-renders the chapter list on edits
+  scheduleAnnotationsRefresh() {
+    if (!this.host || this.annotationsTimeout) return;
+    this.annotationsTimeout = setTimeout(() => {
+      this.annotationsTimeout = null;
+      this.renderAnnotations();
+    }, ANNOTATIONS_REFRESH_DELAY);
+  }
+
+  async setAnnotationsEnabled(enabled) {
+    await chrome.storage.local.set({ [ANNOTATIONS_STORAGE_KEY]: enabled });
+    this.renderAnnotations();
+  }
+
+  // Date of the shown evaluation and whether the chapters changed since
+  renderStatus() {
+    const entry = this.latestEntry;
+    const stale =
+      entry &&
+      this.currentCourseText !== null &&
+      entry.courseText !== this.currentCourseText;
+
+    let text = "Дисциплина ещё не оценивалась.";
+    if (entry) {
+      text = `Последняя оценка: ${new Date(entry.timestamp).toLocaleString(
+        "ru-RU"
+      )}`;
+      if (entry.referenceId) text += ` (эталон ${entry.referenceId})`;
+      if (stale) text += "\n⚠️ Разделы изменились после оценки";
+    }
+
+    this.status.textContent = text;
+    this.status.classList.toggle("stale", Boolean(stale));
+  }
+
+  // Called on page mutations: spinners, tooltips and other re-renders are
+  // ignored, only a changed chapter list is fetched again
+  scheduleChaptersCheck() {
+    if (!this.host || this.isCollapsed() || this.checkTimeout) return;
+    this.checkTimeout = setTimeout(() => {
+      this.checkTimeout = null;
+      if (this.chapterListChanged()) this.scheduleChaptersRefresh();
+    }, CHAPTERS_REFRESH_DELAY);
+  }
+
+  // The list is the page element showing the last fetched chapter and theme
+  // names; a page that shows none of them is not compared
+  readChapterList() {
+    const names = parseCourseText(this.currentCourseText).flatMap((section) => [
+      section.name,
+      ...section.themes,
+    ]);
+    if (names.length === 0) return null;
+    const list = findNamesContainer(names, { excluded: this.host });
+    return list ? getPageText(list) : null;
+  }
+
+  chapterListChanged() {
+    return (
+      this.chapterListText !== null &&
+      this.readChapterList() !== this.chapterListText
+    );
+  }
+
+  setCourseText(courseText) {
+    this.currentCourseText = courseText;
+    this.chapterListText = this.readChapterList();
+  }
+
+  scheduleChaptersRefresh(delay = CHAPTERS_REFRESH_DELAY) {
+    if (!this.host || this.isCollapsed() || this.refreshTimeout) return;
+    const wait = Math.max(
+      delay,
+      CHAPTERS_REFRESH_INTERVAL - (Date.now() - this.lastRefreshAt)
+    );
+    this.refreshTimeout = setTimeout(() => {
+      this.refreshTimeout = null;
+      this.refreshChapters();
+    }, wait);
+  }
+
+  async refreshChapters() {
+    this.lastRefreshAt = Date.now();
+    try {
+      // The page is the source of truth, the cached chapters are bypassed
+      this.setCourseText(
+        await BackgroundApi.fetchCourseStructure(
+          this.disciplineId,
+          this.getToken(),
+          location.href,
+          { refresh: true }
+        )
+      );
+    } catch (error) {
+      // No chapters yet or the request failed: nothing to compare
+      this.setCourseText(null);
+    }
+    this.renderStatus();
+  }
+
+  async evaluate() {
+    const referenceId = this.referenceInput.value.trim();
+    const token = this.getToken();
+
+    try {
+      this.evaluateBtn.disabled = true;
+      this.showOutput("⏳ Загружаем структуру дисциплины...");
+      const courseText = await BackgroundApi.fetchCourseStructure(
+        this.disciplineId,
+        token,
+        location.href,
+        { refresh: true }
+      );
+
+      let referenceText = null;
+      if (referenceId) {
+        this.showOutput(`⏳ Загружаем эталон (${referenceId})...`);
+        referenceText = await BackgroundApi.fetchCourseStructure(
+          referenceId,
+          token,
+          location.href
+        ).catch(() => null);
+      }
+
+      this.showOutput("⏳ Отправляем на оценку...");
+      const evaluation = await BackgroundApi.evaluateDiscipline(
+        courseText,
+        referenceText,
+        {
+          disciplineId: this.disciplineId,
+          referenceId: referenceText ? referenceId : null,
+        }
+      );
+
+      await BackgroundApi.trackEvaluation({
+        token,
+        disciplineId: this.disciplineId,
+        referenceId: referenceText ? referenceId : null,
+        metrics: evaluation.result,
+      }).catch((error) => console.warn("⚠️ Failed to track:", error));
+
+      this.setCourseText(courseText);
+      this.showOutput("");
+      // History listener re-renders the metrics
+    } catch (error) {
+      console.error("❌ Sidebar evaluation error:", error);
+      this.showOutput("❌ " + error.message);
+    } finally {
+      this.evaluateBtn.disabled = false;
+    }
+  }
+
+  async generate() {
+    try {
+      this.generateBtn.disabled = true;
+      this.showOutput("⏳ Генерируем структуру...");
+      const generated = await BackgroundApi.generateStructure(
+        this.disciplineId,
+        this.getToken(),
+        location.href
+      );
+
+      this.generation = generated;
+      this.batch = new ChapterCreationBatch(
+        this.disciplineId,
+        this.getToken(),
+        location.href
+      );
+      this.previewSummary.textContent =
+        `📘 ${generated.summary.title} (${generated.summary.level})\n` +
+        `Требуется по /info:\n${generated.summary.apiSummary}`;
+      this.preview.load(
+        generated.chapters,
+        generated.summary.workTypes,
+        generated.summary.workload.granularity,
+        generated.summary.workload.selfStudy.requestedMode
+      );
+      this.generationBlock.classList.remove("hidden");
+      this.showOutput("");
+    } catch (error) {
+      console.error("❌ Sidebar generation error:", error);
+      this.showOutput("❌ " + error.message);
+    } finally {
+      this.generateBtn.disabled = false;
+    }
+  }
+
+  hideGeneration() {
+    this.generation = null;
+    this.batch = null;
+    this.modeSelect.disabled = false;
+    this.createBtn.textContent = "Создать разделы";
+    this.generationBlock.classList.add("hidden");
+  }
+
+  async createChapters() {
+    const mode = this.modeSelect.value;
+    if (
+      !this.batch.isStarted() &&
+      mode === CHAPTER_CREATION_MODES.REPLACE &&
+      !confirm("Все существующие разделы будут удалены. Продолжить?")
+    ) {
+      return;
+    }
+
+    try {
+      this.createBtn.disabled = true;
+      this.showOutput("⏳ Создаём разделы...");
+      const report = await this.batch.run(
+        this.preview.getChapters(),
+        this.generation.summary.workTypes,
+        mode
+      );
+
+      if (!report.completed) {
+        this.showPartialCreation(report);
+        return;
+      }
+
+      this.hideGeneration();
+      this.showOutput(formatCreationReport(report));
+      // The page does not know about chapters created through the API
+      setTimeout(() => location.reload(), 1500);
+    } catch (error) {
+      console.error("❌ Sidebar chapter creation error:", error);
+      this.showOutput("❌ " + error.message);
+    } finally {
+      this.createBtn.disabled = false;
+    }
+  }
+
+  // A kept partial batch is resumed with the same mode
+  showPartialCreation(report) {
+    const started = this.batch.isStarted();
+    this.modeSelect.disabled = started;
+    this.createBtn.textContent = started
+      ? `▶️ Продолжить с раздела ${this.batch.resumeFrom + 1}`
+      : "Создать разделы";
+    this.showOutput(formatCreationReport(report));
+  }
+
+  // The key comes from the settings, as for generation
+  async editSection(action, index, chapters) {
+    try {
+      this.showOutput("⏳ Изменяем раздел...");
+      const result = await BackgroundApi.editStructureSection(
+        this.disciplineId,
+        this.getToken(),
+        location.href,
+        undefined,
+        { chapters, index, action }
+      );
+      this.generation = {
+        ...result,
+        summary: { ...this.generation.summary, ...result.summary },
+      };
+      this.preview.load(
+        result.chapters,
+        result.summary.workTypes,
+        result.summary.workload.granularity,
+        result.summary.workload.selfStudy.requestedMode
+      );
+      this.showOutput("");
+    } catch (error) {
+      console.error("❌ Sidebar section edit error:", error);
+      this.showOutput("❌ " + error.message);
+    }
+  }
+
+  // Evaluations from the popup, batch page or this panel
+  onStorageChanged(changes, area) {
+    const key = `${EVALUATION_HISTORY_STORAGE_KEY}:${this.disciplineId}`;
+    if (area !== "local" || !this.host || !changes[key]) return;
+    const history = changes[key].newValue || [];
+    this.latestEntry = history[history.length - 1] || null;
+    this.renderEvaluation();
+  }
+}
+
+// Entry point called by content.js
+export function initSidebar(options) {
+  const sidebar = new SidebarPanel(options);
+
+  chrome.storage.onChanged.addListener((changes, area) =>
+    sidebar.onStorageChanged(changes, area)
+  );
+
+  // Chapter list edits and SPA navigation both show up as DOM mutations;
+  // the panel itself lives in a shadow root and does not trigger this,
+  // placing the annotation badges is filtered out below
+  const isBadge = (node) => node.classList?.contains(BADGE_CLASS);
+  const isOwnMutation = (mutation) =>
+    mutation.type === "childList" &&
+    [...mutation.addedNodes, ...mutation.removedNodes].every(isBadge);
+
+  let lastUrl = location.href;
+  new MutationObserver((mutations) => {
+    if (location.href !== lastUrl) {
+      lastUrl = location.href;
+      sidebar.sync();
+      return;
+    }
+    if (mutations.every(isOwnMutation)) return;
+    sidebar.scheduleChaptersCheck();
+    sidebar.scheduleAnnotationsRefresh();
+  }).observe(document.body, {
+    childList: true,
+    subtree: true,
+    characterData: true,
+  });
+
+  window.addEventListener("popstate", () => sidebar.sync());
+  sidebar.sync();
+  return sidebar;
+}
@@ -1,12 +1,60 @@
 // Options page script for extension settings
+import {
+  LLM_PROVIDERS,
+  DEFAULT_LLM_PROVIDER,
+} from "../services/llmProvider.js";
+import {
+  METRIC_THRESHOLD_PRESETS,
+  DEFAULT_THRESHOLD_PRESET,
+  REFERENCE_METRICS,
+  resolveMetricThresholds,
+  validateThresholdConfig,
+} from "../utils/metrics.js";
+import { downloadFile } from "../utils/utils.js";
+import {
+  DEFAULT_HOURS_GRANULARITY,
+  DEFAULT_SELF_STUDY_MODE,
+  HOURS_GRANULARITY_OPTIONS,
+  resolveGranularity,
+  resolveSelfStudyMode,
+  SELF_STUDY_MODES,
+} from "../utils/workloadSolver.js";
+import { validateWorkTypeMapping } from "../utils/workTypeMapping.js";
+
+// Settings stored by this page (chrome.storage.sync keys)
+const SETTINGS_KEYS = [
+  "openaiApiKey",
+  "developerMode",
+  "itmoToken",
+  "analyticsEnabled",
+  "llmProvider",
+  "llmBaseUrl",
+  "llmModel",
+  "llmTemperature",
+  "llmAuthHeader",
+  "metricThresholdPreset",
+  "metricThresholds",
+  "themeHourGranularity",
+  "selfStudyDistribution",
+  "workTypeMapping",
+];
+
 class OptionsManager {
   constructor() {
     this.elements = {};
+    // Thresholds being edited: { [metric]: { warning, good, lowerIsBetter } }
+    this.thresholds = resolveMetricThresholds();
+    // Rows being edited: [{ synonyms, workTypeId }]
+    this.workTypeMapping = [];
     this.init();
   }
 
   init() {
     this.bindElements();
+    this.renderProviderOptions();
+    this.renderThresholdPresetOptions();
+    this.renderGranularityOptions();
+    this.renderSelfStudyModeOptions();
     this.attachEventListeners();
     this.loadSettings();
   }
@@ -21,12 +69,216 @@ class OptionsManager {
         "toggleItmoTokenVisibility"
       ),
       analyticsEnabled: document.getElementById("analyticsEnabled"),
+      llmProvider: document.getElementById("llmProvider"),
+      llmBaseUrl: document.getElementById("llmBaseUrl"),
+      llmModel: document.getElementById("llmModel"),
+      llmTemperature: document.getElementById("llmTemperature"),
+      llmAuthHeader: document.getElementById("llmAuthHeader"),
+      thresholdPreset: document.getElementById("thresholdPreset"),
+      thresholdsTable: document.getElementById("thresholdsTable"),
+      exportThresholdsButton: document.getElementById("exportThresholdsButton"),
+      importThresholdsButton: document.getElementById("importThresholdsButton"),
+      importThresholdsFile: document.getElementById("importThresholdsFile"),
+      themeHourGranularity: document.getElementById("themeHourGranularity"),
+      selfStudyDistribution: document.getElementById("selfStudyDistribution"),
+      workTypeMappingTable: document.getElementById("workTypeMappingTable"),
+      addWorkTypeMappingButton: document.getElementById(
+        "addWorkTypeMappingButton"
+      ),
       saveButton: document.getElementById("saveButton"),
       resetButton: document.getElementById("resetButton"),
       statusMessage: document.getElementById("statusMessage"),
     };
   }
 
+  renderProviderOptions() {
+    Object.entries(LLM_PROVIDERS).forEach(([id, provider]) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = provider.title;
+      this.elements.llmProvider.appendChild(option);
+    });
+  }
+
+  renderThresholdPresetOptions() {
+    Object.entries(METRIC_THRESHOLD_PRESETS).forEach(([id, preset]) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = preset.title;
+      this.elements.thresholdPreset.appendChild(option);
+    });
+  }
+
+  renderGranularityOptions() {
+    HOURS_GRANULARITY_OPTIONS.forEach((hours) => {
+      const option = document.createElement("option");
+      option.value = String(hours);
+      option.textContent = `${hours} ч на тему`;
+      this.elements.themeHourGranularity.appendChild(option);
+    });
+  }
+
+  renderSelfStudyModeOptions() {
+    Object.entries(SELF_STUDY_MODES).forEach(([id, title]) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = title;
+      this.elements.selfStudyDistribution.appendChild(option);
+    });
+  }
+
+  // One row per synonym list: names used in themes and program_work_type_id
+  renderWorkTypeMappingTable() {
+    const table = this.elements.workTypeMappingTable;
+    table.innerHTML = `<tr>
+      <th>Названия</th><th>ID типа работ</th><th></th>
+    </tr>`;
+
+    this.workTypeMapping.forEach((row, index) => {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td><input type="text" data-field="synonyms" placeholder="курсовой проект, кп"></td>
+        <td><input type="number" min="1" step="1" data-field="workTypeId"></td>
+        <td class="center"><button type="button" class="toggle-btn" title="Удалить">✕</button></td>`;
+
+      tr.querySelectorAll("input").forEach((input) => {
+        const field = input.dataset.field;
+        input.value = row[field] ?? "";
+        input.addEventListener("change", () => {
+          row[field] =
+            field === "workTypeId"
+              ? parseInt(input.value, 10) || null
+              : input.value;
+          this.scheduleAutoSave();
+        });
+      });
+      tr.querySelector("button").addEventListener("click", () => {
+        this.workTypeMapping.splice(index, 1);
+        this.renderWorkTypeMappingTable();
+        this.scheduleAutoSave();
+      });
+
+      table.appendChild(tr);
+    });
+  }
+
+  // Empty rows are dropped instead of failing validation
+  getWorkTypeMapping() {
+    return this.workTypeMapping
+      .filter((row) => (row.synonyms || "").trim() || row.workTypeId)
+      .map((row) => ({
+        synonyms: (row.synonyms || "").trim(),
+        workTypeId: row.workTypeId,
+      }));
+  }
+
+  // One row per metric: warning and good boundaries, direction
+  renderThresholdsTable() {
+    const table = this.elements.thresholdsTable;
+    table.innerHTML = `<tr>
+      <th>Метрика</th><th>Внимание</th><th>Хорошо</th><th>Меньше — лучше</th>
+    </tr>`;
+
+    REFERENCE_METRICS.forEach((key) => {
+      const value = this.thresholds[key];
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td>${key}</td>
+        <td><input type="number" step="0.01" min="0" max="1" data-field="warning"></td>
+        <td><input type="number" step="0.01" min="0" max="1" data-field="good"></td>
+        <td class="center"><input type="checkbox" data-field="lowerIsBetter"></td>`;
+
+      row.querySelectorAll("input").forEach((input) => {
+        const field = input.dataset.field;
+        if (input.type === "checkbox") input.checked = value[field];
+        else input.value = value[field];
+
+        input.addEventListener("change", () => {
+          this.thresholds[key] = {
+            ...this.thresholds[key],
+            [field]:
+              input.type === "checkbox"
+                ? input.checked
+                : parseFloat(input.value),
+          };
+          this.scheduleAutoSave();
+        });
+      });
+
+      table.appendChild(row);
+    });
+  }
+
+  // Only metrics that differ from the selected preset are stored
+  getThresholdOverrides() {
+    const preset =
+      METRIC_THRESHOLD_PRESETS[this.elements.thresholdPreset.value] ||
+      METRIC_THRESHOLD_PRESETS[DEFAULT_THRESHOLD_PRESET];
+    return Object.fromEntries(
+      Object.entries(this.thresholds).filter(
+        ([key, value]) =>
+          JSON.stringify(value) !== JSON.stringify(preset.thresholds[key])
+      )
+    );
+  }
+
+  exportThresholds() {
+    const config = {
+      preset: this.elements.thresholdPreset.value,
+      thresholds: this.thresholds,
+    };
+    downloadFile(
+      "metric-thresholds.json",
+      JSON.stringify(config, null, 2),
+      "application/json"
+    );
+  }
+
+  async importThresholds(file) {
+    try {
+      const config = JSON.parse(await file.text());
+      const errors = validateThresholdConfig(config);
+      if (errors.length > 0) {
+        console.warn("⚠️ Invalid thresholds file:", errors);
+        this.showStatus(`Некорректный файл: ${errors[0]}`, "error");
+        return;
+      }
+
+      const preset = config.preset || DEFAULT_THRESHOLD_PRESET;
+      this.elements.thresholdPreset.value = preset;
+      this.thresholds = resolveMetricThresholds({
+        metricThresholdPreset: preset,
+        metricThresholds: config.thresholds,
+      });
+      this.renderThresholdsTable();
+      await this.saveSettings();
+    } catch (error) {
+      console.error("❌ Error importing thresholds:", error);
+      this.showStatus("Файл не является корректным JSON", "error");
+    } finally {
+      this.elements.importThresholdsFile.value = "";
+    }
+  }
+
+  scheduleAutoSave() {
+    clearTimeout(this.autoSaveTimeout);
+    this.autoSaveTimeout = setTimeout(() => this.saveSettings(true), 1000);
+  }
+
+  // Preset values are shown as placeholders: empty field = provider default
+  updateProviderPlaceholders() {
+    const preset =
+      LLM_PROVIDERS[this.elements.llmProvider.value] ||
+      LLM_PROVIDERS[DEFAULT_LLM_PROVIDER];
+    this.elements.llmBaseUrl.placeholder = preset.baseUrl;
+    this.elements.llmModel.placeholder = preset.model;
+    this.elements.llmTemperature.placeholder = "по умолчанию";
+    this.elements.llmAuthHeader.placeholder = `${preset.authHeader}: ${preset.authScheme}`;
+    this.elements.openaiToken.placeholder = preset.requiresKey
+      ? "Ключ API"
+      : "Не требуется";
+  }
+
   attachEventListeners() {
     // Save settings
     this.elements.saveButton.addEventListener("click", () =>
@@ -38,6 +290,33 @@ class OptionsManager {
       this.resetSettings()
     );
 
+    this.elements.llmProvider.addEventListener("change", () =>
+      this.updateProviderPlaceholders()
+    );
+
+    // Switching the preset discards per-metric edits
+    this.elements.thresholdPreset.addEventListener("change", () => {
+      this.thresholds = resolveMetricThresholds({
+        metricThresholdPreset: this.elements.thresholdPreset.value,
+      });
+      this.renderThresholdsTable();
+    });
+
+    this.elements.addWorkTypeMappingButton.addEventListener("click", () => {
+      this.workTypeMapping.push({ synonyms: "", workTypeId: null });
+      this.renderWorkTypeMappingTable();
+    });
+
+    this.elements.exportThresholdsButton.addEventListener("click", () =>
+      this.exportThresholds()
+    );
+    this.elements.importThresholdsButton.addEventListener("click", () =>
+      this.elements.importThresholdsFile.click()
+    );
+    this.elements.importThresholdsFile.addEventListener("change", (e) => {
+      if (e.target.files[0]) this.importThresholds(e.target.files[0]);
+    });
+
     // Toggle token visibility
     this.elements.toggleTokenVisibility.addEventListener("click", () => {
       this.togglePasswordVisibility(this.elements.openaiToken);
@@ -53,15 +332,11 @@ class OptionsManager {
         element &&
         (element.type === "checkbox" ||
           element.type === "password" ||
-          element.type === "text")
+          element.type === "text" ||
+          element.type === "number" ||
+          element.tagName === "SELECT")
       ) {
-        element.addEventListener("change", () => {
-          clearTimeout(this.autoSaveTimeout);
-          this.autoSaveTimeout = setTimeout(
-            () => this.saveSettings(true),
-            1000
-          );
-        });
+        element.addEventListener("change", () => this.scheduleAutoSave());
       }
     });
 
@@ -85,12 +360,7 @@ class OptionsManager {
 
   async loadSettings() {
     try {
-      const settings = await chrome.storage.sync.get([
-        "openaiApiKey",
-        "developerMode",
-        "itmoToken",
-        "analyticsEnabled",
-      ]);
+      const settings = await chrome.storage.sync.get(SETTINGS_KEYS);
 
       // Load values
       this.elements.openaiToken.value = settings.openaiApiKey || "";
@@ -98,6 +368,30 @@ class OptionsManager {
       this.elements.itmoToken.value = settings.itmoToken || "";
       this.elements.analyticsEnabled.checked =
         settings.analyticsEnabled !== false; // default true
+      this.elements.llmProvider.value =
+        settings.llmProvider || DEFAULT_LLM_PROVIDER;
+      this.elements.llmBaseUrl.value = settings.llmBaseUrl || "";
+      this.elements.llmModel.value = settings.llmModel || "";
+      this.elements.llmTemperature.value = settings.llmTemperature ?? "";
+      this.elements.llmAuthHeader.value = settings.llmAuthHeader || "";
+      this.updateProviderPlaceholders();
+      this.elements.thresholdPreset.value = METRIC_THRESHOLD_PRESETS[
+        settings.metricThresholdPreset
+      ]
+        ? settings.metricThresholdPreset
+        : DEFAULT_THRESHOLD_PRESET;
+      this.thresholds = resolveMetricThresholds(settings);
+      this.renderThresholdsTable();
+      this.elements.themeHourGranularity.value = String(
+        resolveGranularity(settings.themeHourGranularity)
+      );
+      this.elements.selfStudyDistribution.value = resolveSelfStudyMode(
+        settings.selfStudyDistribution
+      );
+      this.workTypeMapping = Array.isArray(settings.workTypeMapping)
+        ? settings.workTypeMapping.map((row) => ({ ...row }))
+        : [];
+      this.renderWorkTypeMappingTable();
 
       this.showStatus("Настройки загружены", "success");
     } catch (error) {
@@ -115,11 +409,40 @@ class OptionsManager {
         developerMode: this.elements.developerMode.checked,
         itmoToken: this.elements.itmoToken.value.trim(),
         analyticsEnabled: this.elements.analyticsEnabled.checked,
+        llmProvider: this.elements.llmProvider.value,
+        llmBaseUrl: this.elements.llmBaseUrl.value.trim(),
+        llmModel: this.elements.llmModel.value.trim(),
+        llmTemperature: this.elements.llmTemperature.value.trim(),
+        llmAuthHeader: this.elements.llmAuthHeader.value.trim(),
+        metricThresholdPreset: this.elements.thresholdPreset.value,
+        metricThresholds: this.getThresholdOverrides(),
+        themeHourGranularity: resolveGranularity(
+          this.elements.themeHourGranularity.value
+        ),
+        selfStudyDistribution: resolveSelfStudyMode(
+          this.elements.selfStudyDistribution.value
+        ),
+        workTypeMapping: this.getWorkTypeMapping(),
         lastUpdated: Date.now(),
       };
 
-      // Validate OpenAI key format
+      const mappingErrors = validateWorkTypeMapping(settings.workTypeMapping);
+      if (mappingErrors.length > 0) {
+        this.showStatus(`Типы работ: ${mappingErrors[0]}`, "error");
+        return;
+      }
+
+      const thresholdErrors = validateThresholdConfig({
+        thresholds: settings.metricThresholds,
+      });
+      if (thresholdErrors.length > 0) {
+        this.showStatus(`Пороги: ${thresholdErrors[0]}`, "error");
+        return;
+      }
+
+      // Validate OpenAI key format (other providers use their own formats)
       if (
+        settings.llmProvider === "openai" &&
         settings.openaiApiKey &&
         !this.validateOpenAIKey(settings.openaiApiKey)
       ) {
@@ -127,6 +450,16 @@ class OptionsManager {
         return;
       }
 
+      // A custom base URL needs a host permission (explicit save only,
+      // permissions can be requested during a user gesture)
+      if (
+        settings.llmBaseUrl &&
+        !isAutoSave &&
+        !(await this.requestHostPermission(settings.llmBaseUrl))
+      ) {
+        return;
+      }
+
       // Save to chrome.storage.sync (synced across devices)
       await chrome.storage.sync.set(settings);
 
@@ -171,6 +504,21 @@ class OptionsManager {
       this.elements.developerMode.checked = false;
       this.elements.itmoToken.value = "";
       this.elements.analyticsEnabled.checked = true;
+      this.elements.llmProvider.value = DEFAULT_LLM_PROVIDER;
+      this.elements.llmBaseUrl.value = "";
+      this.elements.llmModel.value = "";
+      this.elements.llmTemperature.value = "";
+      this.elements.llmAuthHeader.value = "";
+      this.updateProviderPlaceholders();
+      this.elements.thresholdPreset.value = DEFAULT_THRESHOLD_PRESET;
+      this.thresholds = resolveMetricThresholds();
+      this.renderThresholdsTable();
+      this.elements.themeHourGranularity.value = String(
+        DEFAULT_HOURS_GRANULARITY
+      );
+      this.elements.selfStudyDistribution.value = DEFAULT_SELF_STUDY_MODE;
+      this.workTypeMapping = [];
+      this.renderWorkTypeMappingTable();
 
       // Notify background script
       await chrome.runtime.sendMessage({
@@ -183,6 +531,25 @@ class OptionsManager {
       this.showStatus("Ошибка сброса настроек", "error");
     }
   }
+  async requestHostPermission(baseUrl) {
+    let origin;
+    try {
+      origin = `${new URL(baseUrl).origin}/*`;
+    } catch (error) {
+      this.showStatus("Неверный Base URL", "error");
+      return false;
+    }
+
+    const granted =
+      (await chrome.permissions.contains({ origins: [origin] })) ||
+      (await chrome.permissions.request({ origins: [origin] }));
+
+    if (!granted) {
+      this.showStatus(`Нет доступа к ${origin}`, "error");
+    }
+    return granted;
+  }
+
   validateOpenAIKey(key) {
     // Допустимы два формата: старый "sk-" и новый "sk-proj-"
     const oldFormat = /^sk-[a-zA-Z0-9]{48,}$/;
@@ -211,18 +578,26 @@ class OptionsManager {
       }
 
       // Fallback to sync storage
-      const settings = await chrome.storage.sync.get([
-        "openaiApiKey",
-        "developerMode",
-        "itmoToken",
-        "analyticsEnabled",
-      ]);
+      const settings = await chrome.storage.sync.get(SETTINGS_KEYS);
 
       return {
         openaiApiKey: settings.openaiApiKey || "",
         developerMode: settings.developerMode || false,
         itmoToken: settings.itmoToken || "",
         analyticsEnabled: settings.analyticsEnabled !== false,
+        llmProvider: settings.llmProvider || DEFAULT_LLM_PROVIDER,
+        llmBaseUrl: settings.llmBaseUrl || "",
+        llmModel: settings.llmModel || "",
+        llmTemperature: settings.llmTemperature ?? "",
+        llmAuthHeader: settings.llmAuthHeader || "",
+        metricThresholdPreset:
+          settings.metricThresholdPreset || DEFAULT_THRESHOLD_PRESET,
+        metricThresholds: settings.metricThresholds || {},
+        themeHourGranularity: resolveGranularity(settings.themeHourGranularity),
+        selfStudyDistribution: resolveSelfStudyMode(
+          settings.selfStudyDistribution
+        ),
+        workTypeMapping: settings.workTypeMapping || [],
       };
     } catch (error) {
       console.error("❌ Error getting settings:", error);
@@ -231,6 +606,16 @@ class OptionsManager {
         developerMode: false,
         itmoToken: "",
         analyticsEnabled: true,
+        llmProvider: DEFAULT_LLM_PROVIDER,
+        llmBaseUrl: "",
+        llmModel: "",
+        llmTemperature: "",
+        llmAuthHeader: "",
+        metricThresholdPreset: DEFAULT_THRESHOLD_PRESET,
+        metricThresholds: {},
+        themeHourGranularity: DEFAULT_HOURS_GRANULARITY,
+        selfStudyDistribution: DEFAULT_SELF_STUDY_MODE,
+        workTypeMapping: [],
       };
     }
   }
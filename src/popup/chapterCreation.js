@@ -0,0 +1,103 @@
+// Chapter Creation - one batch of chapters created from the preview
+// Shared by the popup and the sidebar: keeps what a failed attempt already
+// changed, so the batch is either rolled back or resumed from the failed
+// section with the same mode
+
+import { BackgroundApi } from "../services/backgroundApi.js";
+
+export class ChapterCreationBatch {
+  constructor(disciplineId, token, domain) {
+    this.disciplineId = disciplineId;
+    this.token = token;
+    this.domain = domain;
+    this.reset();
+  }
+
+  reset() {
+    this.created = [];
+    this.updated = [];
+    this.deleted = [];
+    this.resumeFrom = 0;
+  }
+
+  // The mode is fixed once part of the batch has been applied
+  isStarted() {
+    return (
+      this.resumeFrom > 0 ||
+      this.created.length + this.updated.length + this.deleted.length > 0
+    );
+  }
+
+  // Creates the chapters from `resumeFrom`; the returned report lists the
+  // changes of every attempt of the batch. A failed attempt asks the user
+  // whether to roll back or to keep the changes and resume later
+  async run(chapters, workTypes, mode) {
+    const report = await BackgroundApi.createChaptersFromStructure(
+      this.disciplineId,
+      this.token,
+      this.domain,
+      chapters,
+      workTypes,
+      {
+        startIndex: this.resumeFrom,
+        mode,
+        batch: { created: this.created, updated: this.updated },
+      }
+    );
+
+    const changes = {
+      chapters: [...this.created, ...report.created],
+      updated: [...this.updated, ...report.updated],
+      deleted: [...this.deleted, ...report.deleted],
+    };
+
+    if (report.completed) {
+      this.reset();
+    } else if (await this.rollbackOnFailure(report, changes)) {
+      this.reset();
+    } else {
+      this.created = changes.chapters;
+      this.updated = changes.updated;
+      this.deleted = changes.deleted;
+      this.resumeFrom = report.resumeFrom ?? 0;
+    }
+
+    return {
+      ...report,
+      created: changes.chapters,
+      updated: changes.updated,
+      deleted: changes.deleted,
+    };
+  }
+
+  // true when the user chose to roll back; the report gets the result
+  async rollbackOnFailure(report, changes) {
+    const failure = report.failed[0];
+    const changedCount =
+      changes.chapters.length + changes.updated.length + changes.deleted.length;
+    const resumeFrom = report.resumeFrom ?? 0;
+    const action =
+      failure.stage === "delete" ? "удалить существующий" : "создать";
+
+    const rollback = confirm(
+      `❌ Не удалось ${action} раздел ${failure.index + 1} «${
+        failure.name
+      }»:\n` +
+        `${failure.error}\n\n` +
+        `Уже изменено разделов: ${changedCount}\n\n` +
+        `OK — отменить внесенные изменения (откат)\n` +
+        `Отмена — оставить их и продолжить позже с раздела ${resumeFrom + 1}`
+    );
+    if (!rollback) return false;
+
+    const rollbackResult = await BackgroundApi.rollbackChapters(
+      this.disciplineId,
+      this.token,
+      this.domain,
+      changes
+    );
+    report.rolledBack = rollbackResult.rolledBack;
+    report.failed.push(...rollbackResult.failed);
+    return true;
+  }
+}
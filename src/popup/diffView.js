@@ -0,0 +1,131 @@
+// Structure Diff View - side-by-side comparison of two evaluated snapshots
+// with the metric changes between the two evaluation results
+
+import {
+  diffCourseStructures,
+  diffMetrics,
+  DIFF_STATUS,
+} from "../utils/structureDiff.js";
+import { formatMetricDelta, getMetricClass } from "../utils/metrics.js";
+
+const STATUS_MARKS = {
+  [DIFF_STATUS.ADDED]: "+",
+  [DIFF_STATUS.REMOVED]: "−",
+  [DIFF_STATUS.RENAMED]: "✎",
+  [DIFF_STATUS.MOVED]: "↷",
+  [DIFF_STATUS.UNCHANGED]: "",
+};
+
+function cell(text, className = "") {
+  const td = document.createElement("td");
+  td.className = className;
+  td.textContent = text ?? "";
+  return td;
+}
+
+function formatValue(value) {
+  return typeof value === "number" ? value.toFixed(3) : "—";
+}
+
+function renderSummary(summary) {
+  const parts = [
+    ["разделов добавлено", summary.sectionsAdded],
+    ["удалено", summary.sectionsRemoved],
+    ["переименовано", summary.sectionsRenamed],
+    ["тем добавлено", summary.themesAdded],
+    ["удалено", summary.themesRemoved],
+    ["переименовано", summary.themesRenamed],
+    ["перемещено", summary.themesMoved],
+  ];
+  const text = parts
+    .filter(([, count]) => count > 0)
+    .map(([label, count]) => `${label}: ${count}`)
+    .join(", ");
+
+  const p = document.createElement("p");
+  p.className = "diff-summary";
+  p.textContent = text || "Структура не изменилась";
+  return p;
+}
+
+function renderMetricsTable(beforeResult, afterResult) {
+  const table = document.createElement("table");
+  table.className = "metrics-table";
+
+  diffMetrics(beforeResult, afterResult).forEach((metric) => {
+    const delta = formatMetricDelta(metric.key, metric.delta);
+    const row = document.createElement("tr");
+    row.append(
+      cell(metric.key),
+      cell(
+        formatValue(metric.before),
+        metric.before != null ? getMetricClass(metric.key, metric.before) : ""
+      ),
+      cell(
+        formatValue(metric.after),
+        metric.after != null ? getMetricClass(metric.key, metric.after) : ""
+      ),
+      cell(delta.text, delta.cssClass)
+    );
+    table.appendChild(row);
+  });
+
+  return table;
+}
+
+function renderStructureTable(rows) {
+  const table = document.createElement("table");
+  table.className = "diff-table";
+
+  const head = document.createElement("tr");
+  head.append(cell("Было", "diff-head"), cell("", "diff-head"));
+  head.append(cell("Стало", "diff-head"));
+  table.appendChild(head);
+
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    tr.className = `diff-${row.kind} diff-${row.status}`;
+    const after =
+      row.status === DIFF_STATUS.MOVED
+        ? `${row.after} (из «${row.fromSection}»)`
+        : row.after;
+    tr.append(
+      cell(row.before),
+      cell(STATUS_MARKS[row.status], "diff-mark"),
+      cell(after)
+    );
+    table.appendChild(tr);
+  });
+
+  return table;
+}
+
+// Entries are evaluation history records ({ courseText, result })
+export function renderStructureDiff(beforeEntry, afterEntry, caption) {
+  const { rows, summary } = diffCourseStructures(
+    beforeEntry.courseText,
+    afterEntry.courseText
+  );
+
+  const container = document.createElement("div");
+  container.className = "diff-view";
+
+  const title = document.createElement("h4");
+  title.textContent = caption;
+
+  const metricsTitle = document.createElement("h4");
+  metricsTitle.textContent = "📊 Изменение метрик";
+
+  const structureTitle = document.createElement("h4");
+  structureTitle.textContent = "🧩 Изменения структуры";
+
+  container.append(
+    title,
+    metricsTitle,
+    renderMetricsTable(beforeEntry.result, afterEntry.result),
+    structureTitle,
+    renderSummary(summary),
+    renderStructureTable(rows)
+  );
+  return container;
+}
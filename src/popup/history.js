@@ -0,0 +1,228 @@
+// Evaluation History - past evaluation runs of a discipline
+// Shows a sparkline per metric and the list of stored runs
+
+import { BackgroundApi } from "../services/index.js";
+import {
+  formatMetricDelta,
+  getMetricClass,
+  REFERENCE_METRICS,
+} from "../utils/metrics.js";
+import { renderStructureDiff } from "./diffView.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const SPARKLINE_WIDTH = 90;
+const SPARKLINE_HEIGHT = 22;
+
+export function formatTimestamp(timestamp) {
+  return new Date(timestamp).toLocaleString("ru-RU", {
+    day: "2-digit",
+    month: "2-digit",
+    year: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Inline SVG polyline; metric values are expected in [0, 1]
+function createSparkline(values) {
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("width", SPARKLINE_WIDTH);
+  svg.setAttribute("height", SPARKLINE_HEIGHT);
+  svg.setAttribute("class", "sparkline");
+
+  const min = Math.min(0, ...values);
+  const max = Math.max(1, ...values);
+  const step = values.length > 1 ? SPARKLINE_WIDTH / (values.length - 1) : 0;
+  const points = values.map((value, i) => {
+    const x = values.length > 1 ? i * step : SPARKLINE_WIDTH / 2;
+    const y =
+      SPARKLINE_HEIGHT -
+      2 -
+      ((value - min) / (max - min)) * (SPARKLINE_HEIGHT - 4);
+    return [x, y];
+  });
+
+  const line = document.createElementNS(SVG_NS, "polyline");
+  line.setAttribute("points", points.map((p) => p.join(",")).join(" "));
+  svg.appendChild(line);
+
+  const [lastX, lastY] = points[points.length - 1];
+  const dot = document.createElementNS(SVG_NS, "circle");
+  dot.setAttribute("cx", lastX);
+  dot.setAttribute("cy", lastY);
+  dot.setAttribute("r", 2);
+  svg.appendChild(dot);
+
+  return svg;
+}
+
+export class EvaluationHistoryView {
+  constructor(container) {
+    this.container = container;
+    this.disciplineId = null;
+    this.entries = [];
+    // Ids of the two runs picked for comparison
+    this.selected = [];
+  }
+
+  async load(disciplineId) {
+    this.disciplineId = disciplineId;
+    if (!disciplineId) {
+      this.entries = [];
+      this.renderMessage(
+        "Откройте страницу дисциплины, чтобы увидеть историю."
+      );
+      return;
+    }
+
+    this.renderMessage("⏳ Загружаем историю...");
+    try {
+      this.entries = await BackgroundApi.getEvaluationHistory(disciplineId);
+      this.selected = [];
+      this.render();
+    } catch (error) {
+      console.error("❌ Failed to load evaluation history:", error);
+      this.renderMessage("Не удалось загрузить историю.");
+    }
+  }
+
+  renderMessage(text) {
+    this.container.innerHTML = "";
+    const message = document.createElement("p");
+    message.className = "history-empty";
+    message.textContent = text;
+    this.container.appendChild(message);
+  }
+
+  render() {
+    if (this.entries.length === 0) {
+      this.renderMessage("Для этой дисциплины ещё нет оценок.");
+      return;
+    }
+
+    this.container.innerHTML = "";
+    this.container.appendChild(this.renderTrends());
+    this.container.appendChild(this.renderRuns());
+
+    const compareBtn = document.createElement("button");
+    compareBtn.className = "btn-info";
+    compareBtn.textContent = "🔍 Сравнить выбранные";
+    compareBtn.disabled = this.selected.length !== 2;
+    compareBtn.title = "Отметьте две оценки в списке";
+    compareBtn.addEventListener("click", () => this.compare());
+    this.container.appendChild(compareBtn);
+
+    this.diffContainer = document.createElement("div");
+    this.container.appendChild(this.diffContainer);
+
+    const clearBtn = document.createElement("button");
+    clearBtn.className = "btn-settings";
+    clearBtn.textContent = "🗑 Очистить историю";
+    clearBtn.addEventListener("click", () => this.clear());
+    this.container.appendChild(clearBtn);
+  }
+
+  // One row per metric: sparkline, latest value and change since previous run
+  renderTrends() {
+    const table = document.createElement("table");
+    table.className = "metrics-table history-trends";
+
+    const keys = REFERENCE_METRICS.filter((key) =>
+      this.entries.some((entry) => typeof entry.result?.[key] === "number")
+    );
+
+    keys.forEach((key) => {
+      const series = this.entries
+        .map((entry) => entry.result?.[key])
+        .filter((value) => typeof value === "number");
+      const last = series[series.length - 1];
+      const previous = series.length > 1 ? series[series.length - 2] : null;
+      const delta = formatMetricDelta(
+        key,
+        previous == null ? null : last - previous
+      );
+
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td>${key}</td>
+        <td class="history-sparkline"></td>
+        <td class="${getMetricClass(key, last)}">${last.toFixed(3)}</td>
+        <td class="${delta.cssClass}">${delta.text}</td>`;
+      row
+        .querySelector(".history-sparkline")
+        .appendChild(createSparkline(series));
+      table.appendChild(row);
+    });
+
+    return table;
+  }
+
+  // Runs newest first, each with a checkbox to pick it for comparison
+  renderRuns() {
+    const list = document.createElement("ul");
+    list.className = "history-runs";
+
+    [...this.entries].reverse().forEach((entry) => {
+      const score = entry.result?.final_score;
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = this.selected.includes(entry.id);
+      checkbox.disabled = !entry.courseText;
+      checkbox.addEventListener("change", () => this.toggle(entry.id));
+
+      const label = document.createElement("label");
+      label.appendChild(checkbox);
+      label.append(
+        `${formatTimestamp(entry.timestamp)} — ` +
+          `final_score ${typeof score === "number" ? score.toFixed(3) : "—"}` +
+          (entry.referenceId ? ` (эталон ${entry.referenceId})` : "")
+      );
+
+      const item = document.createElement("li");
+      item.appendChild(label);
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  // Keeps at most two selected runs, dropping the oldest pick
+  toggle(entryId) {
+    this.selected = this.selected.includes(entryId)
+      ? this.selected.filter((id) => id !== entryId)
+      : [...this.selected, entryId].slice(-2);
+    this.render();
+  }
+
+  // Older run on the left, newer on the right
+  compare() {
+    const [before, after] = this.entries.filter((entry) =>
+      this.selected.includes(entry.id)
+    );
+    if (!before || !after) return;
+
+    this.diffContainer.innerHTML = "";
+    this.diffContainer.appendChild(
+      renderStructureDiff(
+        before,
+        after,
+        `${formatTimestamp(before.timestamp)} → ${formatTimestamp(
+          after.timestamp
+        )}`
+      )
+    );
+    this.diffContainer.scrollIntoView({ behavior: "smooth" });
+  }
+
+  async clear() {
+    if (!confirm("Удалить историю оценок этой дисциплины?")) return;
+    try {
+      await BackgroundApi.clearEvaluationHistory(this.disciplineId);
+      this.entries = [];
+      this.render();
+    } catch (error) {
+      console.error("❌ Failed to clear evaluation history:", error);
+      alert("❌ " + error.message);
+    }
+  }
+}
@@ -1,8 +1,48 @@
 // Modern Popup Script for ITMO Discipline Evaluator
 // Uses BackgroundApi for all operations instead of direct API calls
 
-import { BackgroundApi, ItmoApi, EvaluationApi } from "../services/index.js";
-import { MESSAGE_TYPES } from "../types/index.js";
+import {
+  BackgroundApi,
+  ItmoApi,
+  EvaluationApi,
+  resolveLlmConfig,
+} from "../services/index.js";
+import { MESSAGE_TYPES, CHAPTER_CREATION_MODES } from "../types/index.js";
+import {
+  getMetricClass,
+  loadMetricThresholds,
+  REFERENCE_METRICS,
+  STANDALONE_METRICS,
+} from "../utils/metrics.js";
+import {
+  buildEvaluationReport,
+  getReportFileName,
+  renderReportHtml,
+  renderReportMarkdown,
+  PENDING_REPORT_KEY,
+  REPORT_FORMATS,
+} from "../utils/reportExport.js";
+import { downloadFile } from "../utils/utils.js";
+import { AUTO_REFERENCE_MODES } from "../utils/programSearch.js";
+import {
+  PROMPT_STRATEGIES,
+  resolvePromptStrategy,
+} from "../utils/promptStrategies.js";
+import {
+  describeDeviation,
+  describeSelfStudySplit,
+} from "../utils/workloadSolver.js";
+import {
+  StructurePreview,
+  formatChaptersText,
+  formatCreationReport,
+} from "./structurePreview.js";
+import { EvaluationHistoryView } from "./history.js";
+import { ChapterCreationBatch } from "./chapterCreation.js";
+import { SimilarProgramsView } from "./similarPrograms.js";
+
+const AUTO_REFERENCE_STORAGE_KEY = "autoReference";
+const PROMPT_STRATEGY_STORAGE_KEY = "promptStrategy";
 
 // Helper function to get ITMO token from settings
 async function getItmoTokenFromSettings() {
@@ -19,18 +59,6 @@ async function getItmoTokenFromSettings() {
   }
 }
 
-const DEFAULT_THRESHOLDS = {
-  semantic_coherence: 0.5,
-  structural_balance: 0.4,
-  topic_flow: 0.3,
-  sequence_coverage: 0.6,
-  graph_coverage: 0.6,
-  redundancy: 0.4,
-  relevance: 0.5,
-  extra_topics_penalty: 0.4,
-  final_score: 0.6,
-};
-
 // Check if current tab is on ITMO domain with discipline page
 async function checkItmoPage() {
   try {
@@ -94,20 +122,6 @@ function updateButtonStates(pageCheck, buttons) {
   });
 }
 
-function getMetricClass(key, value) {
-  const threshold = DEFAULT_THRESHOLDS[key] ?? 0.5;
-
-  if (key === "redundancy" || key === "extra_topics_penalty") {
-    if (value <= threshold / 2) return "metric-good";
-    if (value <= threshold) return "metric-warning";
-    return "metric-bad";
-  } else {
-    if (value >= threshold + 0.1) return "metric-good";
-    if (value >= threshold) return "metric-warning";
-    return "metric-bad";
-  }
-}
-
 function getISUFromCookie(rawToken) {
   if (!rawToken) return null;
   // Use background script's token validation
@@ -116,6 +130,15 @@ function getISUFromCookie(rawToken) {
     .catch(() => null);
 }
 
+// "2 ч 15 мин" until the token expires
+function formatTokenValidity(expiresIn) {
+  const minutes = Math.floor(expiresIn / 60);
+  const hours = Math.floor(minutes / 60);
+  if (hours >= 24) return `${Math.floor(hours / 24)} д ${hours % 24} ч`;
+  if (hours > 0) return `${hours} ч ${minutes % 60} мин`;
+  return `${minutes} мин`;
+}
+
 function getDisciplineIdFromUrl(tabUrl) {
   const match = tabUrl.match(/\/programs\/(\d+)/);
   return match ? match[1] : null;
@@ -138,7 +161,8 @@ function getCurrentTab() {
 }
 
 // Modern course structure fetching using BackgroundApi
-async function getCourseStructureFromId(disciplineId, token) {
+// options.refresh bypasses the background cache (chapters edited on the page)
+async function getCourseStructureFromId(disciplineId, token, options = {}) {
   try {
     const tab = await getCurrentTab();
     const domain = tab?.url || "";
@@ -146,7 +170,8 @@ async function getCourseStructureFromId(disciplineId, token) {
     const result = await BackgroundApi.fetchCourseStructure(
       disciplineId,
       token,
-      domain
+      domain,
+      options
     );
     return result;
   } catch (error) {
@@ -156,11 +181,12 @@ async function getCourseStructureFromId(disciplineId, token) {
 }
 
 // Modern evaluation using BackgroundApi
-async function evaluateDiscipline(courseText, referenceText = null) {
+async function evaluateDiscipline(courseText, referenceText = null, meta) {
   try {
     const result = await BackgroundApi.evaluateDiscipline(
       courseText,
-      referenceText
+      referenceText,
+      meta
     );
     return result;
   } catch (error) {
@@ -169,6 +195,50 @@ async function evaluateDiscipline(courseText, referenceText = null) {
   }
 }
 
+// Metrics × references table of a multi-reference evaluation,
+// the last column is the aggregate used as the evaluation result
+function renderMetricsMatrix(table, metrics, result) {
+  const cell = (tag, text, props = {}) => {
+    const node = document.createElement(tag);
+    node.textContent = text;
+    Object.assign(node, props);
+    return node;
+  };
+  const valueCell = (key, value) =>
+    typeof value === "number"
+      ? cell("td", value.toFixed(3), { className: getMetricClass(key, value) })
+      : cell("td", "—");
+
+  table.innerHTML = "";
+  const header = document.createElement("tr");
+  header.append(
+    cell("th", "Метрика"),
+    ...result.references.map((reference) =>
+      cell("th", reference.name || reference.id, {
+        title: reference.error
+          ? `ID ${reference.id}: ${reference.error}`
+          : `ID ${reference.id}`,
+      })
+    ),
+    cell("th", "Итог", { title: "Среднее по эталонам" })
+  );
+  table.appendChild(header);
+
+  metrics
+    .filter((key) => result[key] != null)
+    .forEach((key) => {
+      const row = document.createElement("tr");
+      row.append(
+        cell("td", key),
+        ...result.references.map((reference) =>
+          valueCell(key, reference.result?.[key])
+        ),
+        valueCell(key, result[key])
+      );
+      table.appendChild(row);
+    });
+}
+
 // Modern analytics tracking using BackgroundApi
 async function trackEvaluation(data) {
   try {
@@ -185,14 +255,149 @@ document.addEventListener("DOMContentLoaded", async () => {
   const createBtn = document.getElementById("createBtn");
   const output = document.getElementById("output");
   const referenceIdInput = document.getElementById("referenceIdInput");
+  const autoReferenceCheckbox = document.getElementById(
+    "autoReferenceCheckbox"
+  );
+  const autoReferenceModeSelect = document.getElementById(
+    "autoReferenceModeSelect"
+  );
+  const referenceInfo = document.getElementById("referenceInfo");
   const resultContainer = document.getElementById("resultContainer");
   const metricsTable = document.getElementById("metricsTable");
   const adviceList = document.getElementById("adviceList");
   const findSimilarBtn = document.getElementById("findSimilarBtn");
   const similarOutput = document.getElementById("similarOutput");
+  const generationExamples = document.getElementById("generationExamples");
+  const similarView = new SimilarProgramsView(
+    document.getElementById("similarFilters"),
+    document.getElementById("similarList"),
+    {
+      onUseAsReference: (program) => {
+        referenceIdInput.value = program.id;
+        referenceIdInput.focus();
+        similarOutput.textContent = `✅ Эталон: ${program.name} (ID: ${program.id})`;
+      },
+      onExamplesChange: (examples) => {
+        generationExamples.textContent = `📚 Примеры для генерации: ${examples
+          .map((example) => example.name)
+          .join("; ")}`;
+        generationExamples.classList.toggle("hidden", examples.length === 0);
+      },
+    }
+  );
   const generateStructureBtn = document.getElementById("generateStructureBtn");
+  const promptStrategySelect = document.getElementById("promptStrategySelect");
   const settingsBtn = document.getElementById("settingsBtn");
+  const batchBtn = document.getElementById("batchBtn");
   const debugBtn = document.getElementById("debugBtn");
+  const previewContainer = document.getElementById("previewContainer");
+  const previewSummary = document.getElementById("previewSummary");
+  const confirmCreateBtn = document.getElementById("confirmCreateBtn");
+  const cancelCreateBtn = document.getElementById("cancelCreateBtn");
+  const existingChaptersBlock = document.getElementById(
+    "existingChaptersBlock"
+  );
+  const existingChaptersList = document.getElementById("existingChaptersList");
+  const creationModeSelect = document.getElementById("creationModeSelect");
+  const reportFormatSelect = document.getElementById("reportFormatSelect");
+  const exportReportBtn = document.getElementById("exportReportBtn");
+
+  // Last evaluation shown in the popup, source for the report export
+  let lastEvaluation = null;
+
+  // Auto reference choice is remembered between popup openings
+  const { [AUTO_REFERENCE_STORAGE_KEY]: autoReferencePrefs } =
+    await chrome.storage.local.get([AUTO_REFERENCE_STORAGE_KEY]);
+  autoReferenceCheckbox.checked = Boolean(autoReferencePrefs?.enabled);
+  autoReferenceModeSelect.value =
+    autoReferencePrefs?.mode || AUTO_REFERENCE_MODES.BEST;
+  const saveAutoReferencePrefs = () =>
+    chrome.storage.local.set({
+      [AUTO_REFERENCE_STORAGE_KEY]: {
+        enabled: autoReferenceCheckbox.checked,
+        mode: autoReferenceModeSelect.value,
+      },
+    });
+  autoReferenceCheckbox.addEventListener("change", saveAutoReferencePrefs);
+  autoReferenceModeSelect.addEventListener("change", saveAutoReferencePrefs);
+
+  // Prompting strategy for generation, also remembered between openings
+  Object.entries(PROMPT_STRATEGIES).forEach(([value, strategy]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = strategy.title;
+    promptStrategySelect.appendChild(option);
+  });
+  const { [PROMPT_STRATEGY_STORAGE_KEY]: savedStrategy } =
+    await chrome.storage.local.get([PROMPT_STRATEGY_STORAGE_KEY]);
+  promptStrategySelect.value = resolvePromptStrategy(savedStrategy);
+  promptStrategySelect.addEventListener("change", () =>
+    chrome.storage.local.set({
+      [PROMPT_STRATEGY_STORAGE_KEY]: promptStrategySelect.value,
+    })
+  );
+
+  // Generated structure awaiting review in the preview editor
+  const structurePreview = new StructurePreview(
+    document.getElementById("structurePreview"),
+    { onSectionAction: editPreviewSection }
+  );
+  let pendingGeneration = null;
+
+  // One section is reworked by the model, the rest of the edited tree is
+  // kept; the result replaces the preview and the pending summary
+  async function editPreviewSection(action, index, chapters) {
+    if (!pendingGeneration) return;
+    const { disciplineId, token, tabUrl, openaiKey } = pendingGeneration;
+
+    output.textContent = "⏳ Изменение раздела...";
+    try {
+      const result = await BackgroundApi.editStructureSection(
+        disciplineId,
+        token,
+        tabUrl,
+        openaiKey,
+        { chapters, index, action }
+      );
+      pendingGeneration.structure = result.structure;
+      pendingGeneration.summary = {
+        ...pendingGeneration.summary,
+        ...result.summary,
+      };
+      structurePreview.load(
+        result.chapters,
+        result.summary.workTypes,
+        result.summary.workload.granularity,
+        result.summary.workload.selfStudy.requestedMode
+      );
+      output.textContent =
+        "📝 Проверьте и отредактируйте структуру перед созданием разделов";
+    } catch (error) {
+      console.error("❌ Section edit error:", error);
+      output.textContent = "";
+      alert("❌ Ошибка: " + error.message);
+    }
+  }
+
+  // Main / history tabs; history is reloaded every time the tab is opened
+  const historyView = new EvaluationHistoryView(
+    document.getElementById("historyView")
+  );
+  document.querySelectorAll(".tab").forEach((tabBtn) => {
+    tabBtn.addEventListener("click", async () => {
+      document
+        .querySelectorAll(".tab")
+        .forEach((btn) => btn.classList.toggle("active", btn === tabBtn));
+      document.querySelectorAll(".tab-panel").forEach((panel) => {
+        panel.classList.toggle("hidden", panel.id !== tabBtn.dataset.tab);
+      });
+
+      if (tabBtn.dataset.tab === "historyTab") {
+        const tab = await getCurrentTab();
+        await historyView.load(getDisciplineIdFromUrl(tab?.url || ""));
+      }
+    });
+  });
 
   // ITMO токен теперь управляется через настройки
 
@@ -211,6 +416,8 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
 
     console.log("🔧 Popup settings loaded:", settings);
+
+    await loadMetricThresholds();
   } catch (e) {
     console.warn("Could not load settings:", e);
     // Hide debug button by default if can't load settings
@@ -248,16 +455,22 @@ document.addEventListener("DOMContentLoaded", async () => {
       }
 
       findSimilarBtn.disabled = true;
-      similarOutput.textContent = "⏳ Поиск похожих программ...";
+      similarView.clear();
+      similarOutput.textContent =
+        "⏳ Поиск похожих программ и сравнение структур...";
 
-      const result = await BackgroundApi.findApprovedPrograms(id, token, url);
+      const result = await BackgroundApi.findSimilarPrograms(
+        id,
+        token,
+        url,
+        similarView.getFilters()
+      );
 
       if (!result.programs || result.programs.length === 0) {
         similarOutput.textContent = "Совпадений не найдено.";
       } else {
-        similarOutput.textContent = result.programs
-          .map((p) => `${p.name} (ID: ${p.id})`)
-          .join("\n");
+        similarOutput.textContent = `Похожие на «${result.title}», по убыванию сходства:`;
+        similarView.render(result.programs);
       }
     } catch (error) {
       console.error("❌ Find similar error:", error);
@@ -275,11 +488,23 @@ document.addEventListener("DOMContentLoaded", async () => {
     const onChaptersPage = isItmoChaptersPage(tabUrl);
 
     const userIdEl = document.getElementById("userIdValue");
+    const validityEl = document.getElementById("tokenValidityValue");
+    validityEl.textContent = "";
+    validityEl.classList.remove("expired");
 
     try {
       if (token) {
         const validation = await BackgroundApi.validateToken(token);
         userIdEl.textContent = validation.isu || "неизвестен";
+        if (validation.expired) {
+          // Background falls back to the page cookies for ITMO calls
+          validityEl.textContent = "⌛ токен истёк, будет взят из cookies";
+          validityEl.classList.add("expired");
+        } else if (validation.expiresIn !== null) {
+          validityEl.textContent = `⏳ действует ещё ${formatTokenValidity(
+            validation.expiresIn
+          )}`;
+        }
       } else {
         userIdEl.textContent = "не настроен";
       }
@@ -301,7 +526,9 @@ document.addEventListener("DOMContentLoaded", async () => {
     output.textContent = errors.length > 0 ? errors.join("\n") : "";
 
     if (resetResults) {
+      lastEvaluation = null;
       resultContainer.classList.add("hidden");
+      referenceInfo.classList.add("hidden");
       metricsTable.innerHTML = "";
       adviceList.innerHTML = "";
       output.classList.remove("hidden");
@@ -357,7 +584,12 @@ document.addEventListener("DOMContentLoaded", async () => {
       const tabUrl = tab?.url || "";
       const id = getDisciplineIdFromUrl(tabUrl);
       const token = await getItmoTokenFromSettings();
-      const referenceId = referenceIdInput.value.trim();
+      // "12345, 67890" evaluates against every listed reference
+      const referenceIds = referenceIdInput.value
+        .split(/[\s,;]+/)
+        .filter(Boolean);
+      // Separators are not part of an id: "12345, " is "12345"
+      let referenceId = referenceIds.join(",");
 
       await validateInputs(tabUrl, true);
 
@@ -372,25 +604,71 @@ document.addEventListener("DOMContentLoaded", async () => {
       output.textContent = "⏳ Загружаем структуру дисциплины...";
 
       // Get course structure
-      const courseText = await getCourseStructureFromId(id, token);
+      const courseText = await getCourseStructureFromId(id, token, {
+        refresh: true,
+      });
 
       let referenceText = null;
-      if (referenceId) {
-        output.textContent = `⏳ Загружаем эталон (${referenceId})...`;
+      // { id, name } of automatically selected or multiple references
+      // for the report
+      let knownReference = null;
+      if (referenceIds.length === 1) {
+        output.textContent = `⏳ Загружаем эталон (${referenceIds[0]})...`;
         try {
-          referenceText = await getCourseStructureFromId(referenceId, token);
+          referenceText = await getCourseStructureFromId(
+            referenceIds[0],
+            token
+          );
         } catch (error) {
           console.warn(
             "⚠️ Failed to load reference, continuing without it:",
             error
           );
         }
+      } else if (!referenceId && autoReferenceCheckbox.checked) {
+        output.textContent = "⏳ Подбираем эталон среди похожих программ...";
+        const selection = await BackgroundApi.selectReference(
+          id,
+          token,
+          tabUrl,
+          autoReferenceModeSelect.value
+        );
+        referenceText = selection.referenceText;
+        referenceId = selection.referenceIds.join(",");
+        if (referenceText) {
+          knownReference = {
+            id: selection.referenceIds.join(", "),
+            name: selection.referenceName,
+          };
+        }
+        referenceInfo.textContent = `🎯 Эталон выбран автоматически. ${selection.reason}`;
+        referenceInfo.classList.remove("hidden");
       }
 
-      output.textContent = "⏳ Отправляем на оценку...";
-
       // Evaluate discipline
-      const evaluation = await evaluateDiscipline(courseText, referenceText);
+      let evaluation;
+      if (referenceIds.length > 1) {
+        output.textContent = `⏳ Оцениваем по ${referenceIds.length} эталонам...`;
+        evaluation = await BackgroundApi.evaluateMultiReference(
+          courseText,
+          referenceIds,
+          id,
+          token,
+          tabUrl
+        );
+        knownReference = {
+          id: referenceIds.join(", "),
+          name: evaluation.result.references
+            .map((reference) => reference.name || reference.id)
+            .join(" + "),
+        };
+      } else {
+        output.textContent = "⏳ Отправляем на оценку...";
+        evaluation = await evaluateDiscipline(courseText, referenceText, {
+          disciplineId: id,
+          referenceId: referenceText ? referenceId : null,
+        });
+      }
       const result = evaluation.result;
 
       // Hide output and show results
@@ -406,29 +684,12 @@ document.addEventListener("DOMContentLoaded", async () => {
       });
 
       // Determine which metrics to show
-      const referenceProvided = referenceText && referenceText.length > 0;
+      const referenceProvided =
+        Boolean(result.references) ||
+        (referenceText && referenceText.length > 0);
       const metrics = referenceProvided
-        ? [
-            "final_score",
-            "structural_score",
-            "semantic_coherence",
-            "topic_flow",
-            "structural_balance",
-            "sequence_coverage",
-            "graph_coverage",
-            "redundancy",
-            "relevance",
-            "extra_topics_penalty",
-            "coverage_score",
-            "relevance_score",
-          ]
-        : [
-            "final_score",
-            "structural_score",
-            "semantic_coherence",
-            "structural_balance",
-            "redundancy",
-          ];
+        ? REFERENCE_METRICS
+        : STANDALONE_METRICS;
 
       // Separate metrics into score metrics and detail metrics
       const scoreMetrics = [];
@@ -472,11 +733,29 @@ document.addEventListener("DOMContentLoaded", async () => {
         )
         .join("");
 
-      metricsTable.innerHTML =
-        scoreRows + (otherRows ? dividerRow + otherRows : "");
+      if (result.references) {
+        renderMetricsMatrix(
+          metricsTable,
+          [...scoreMetrics, ...otherMetrics],
+          result
+        );
+      } else {
+        metricsTable.innerHTML =
+          scoreRows + (otherRows ? dividerRow + otherRows : "");
+      }
 
       adviceList.innerHTML = result.advice.map((a) => `<li>${a}</li>`).join("");
 
+      lastEvaluation = {
+        disciplineId: id,
+        token,
+        tabUrl,
+        courseText,
+        result,
+        referenceId: referenceProvided ? referenceId : null,
+        knownReference,
+      };
+
       resultContainer.classList.remove("hidden");
     } catch (error) {
       console.error("❌ Evaluation error:", error);
@@ -488,6 +767,70 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
+  // Export report button
+  exportReportBtn.addEventListener("click", async () => {
+    if (!lastEvaluation) return;
+
+    try {
+      exportReportBtn.disabled = true;
+      const { disciplineId, token, tabUrl, referenceId } = lastEvaluation;
+
+      const info = await BackgroundApi.fetchDisciplineInfo(
+        disciplineId,
+        token,
+        tabUrl
+      );
+      let reference = lastEvaluation.knownReference;
+      if (!reference && referenceId) {
+        const referenceInfo = await BackgroundApi.fetchDisciplineInfo(
+          referenceId,
+          token,
+          tabUrl
+        ).catch(() => null);
+        reference = { id: referenceId, name: referenceInfo?.result?.name };
+      }
+
+      const report = buildEvaluationReport({
+        disciplineId,
+        info,
+        courseText: lastEvaluation.courseText,
+        result: lastEvaluation.result,
+        reference,
+      });
+      const fileName = getReportFileName(report);
+
+      switch (reportFormatSelect.value) {
+        case REPORT_FORMATS.MARKDOWN:
+          downloadFile(
+            `${fileName}.md`,
+            renderReportMarkdown(report),
+            "text/markdown"
+          );
+          break;
+
+        case REPORT_FORMATS.PDF:
+          // Printed from a separate page: the popup closes when it loses focus
+          await chrome.storage.session.set({ [PENDING_REPORT_KEY]: report });
+          await chrome.tabs.create({
+            url: chrome.runtime.getURL("src/report/report.html?print=1"),
+          });
+          break;
+
+        default:
+          downloadFile(
+            `${fileName}.html`,
+            renderReportHtml(report),
+            "text/html"
+          );
+      }
+    } catch (error) {
+      console.error("❌ Report export error:", error);
+      alert("❌ Не удалось сформировать отчёт: " + error.message);
+    } finally {
+      exportReportBtn.disabled = false;
+    }
+  });
+
   // Generate structure button
   generateStructureBtn.addEventListener("click", async () => {
     try {
@@ -502,8 +845,9 @@ document.addEventListener("DOMContentLoaded", async () => {
         return;
       }
 
-      // Get OpenAI key from settings
+      // Get LLM provider and key from settings
       let openaiKey = "";
+      let llmConfig = resolveLlmConfig();
       try {
         const response = await chrome.runtime.sendMessage({
           type: "GET_SETTINGS",
@@ -513,6 +857,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         const settings = response?.data || response;
         console.log("🔑 Generation - settings:", settings);
         openaiKey = settings?.openaiApiKey || "";
+        llmConfig = resolveLlmConfig(settings || {});
         console.log(
           "🔑 Generation - extracted key:",
           openaiKey ? "Found" : "Empty"
@@ -521,16 +866,17 @@ document.addEventListener("DOMContentLoaded", async () => {
         console.error("Could not get settings:", e);
       }
 
-      // If no key in settings, show error and redirect to settings
-      if (!openaiKey) {
+      // If the provider needs a key and there is none, point to settings
+      if (llmConfig.requiresKey && !openaiKey) {
         alert(
-          "🔑 OpenAI ключ не настроен!\n\n" +
-            "Для генерации структуры необходимо настроить OpenAI API ключ.\n\n" +
+          `🔑 API ключ ${llmConfig.title} не настроен!\n\n` +
+            "Для генерации структуры необходимо настроить ключ языковой модели.\n\n" +
             "Нажмите кнопку '⚙️ Настройки' внизу popup'а и введите ваш ключ."
         );
         return;
       }
 
+      hidePreview();
       generateStructureBtn.disabled = true;
       output.textContent = "⏳ Генерация структуры...";
 
@@ -545,76 +891,201 @@ document.addEventListener("DOMContentLoaded", async () => {
         disciplineId,
         token,
         tabUrl,
-        openaiKey
+        openaiKey,
+        {
+          exampleIds: similarView.getExamples().map((example) => example.id),
+          strategy: promptStrategySelect.value,
+        }
       );
       console.log("✅ Popup: Generation result:", generationResult);
 
       const { structure, chapters, summary } = generationResult;
 
-      // Show confirmation dialog with summary
-      const confirmMessage = `Название дисциплины: ${summary.title}
-Уровень: ${summary.level}
+      // Existing chapters decide whether a creation mode has to be chosen
+      let existingChapters = [];
+      try {
+        ({ chapters: existingChapters } = await BackgroundApi.fetchChapters(
+          disciplineId,
+          token,
+          tabUrl,
+          { refresh: true }
+        ));
+      } catch (error) {
+        console.warn("⚠️ Could not load existing chapters:", error);
+      }
 
+      pendingGeneration = {
+        disciplineId,
+        token,
+        tabUrl,
+        openaiKey,
+        structure,
+        summary,
+        existingChapters,
+        batch: new ChapterCreationBatch(disciplineId, token, tabUrl),
+      };
+      structurePreview.load(
+        chapters,
+        summary.workTypes,
+        summary.workload.granularity,
+        summary.workload.selfStudy.requestedMode
+      );
+
+      existingChaptersList.textContent = existingChapters
+        .map((chapter, index) => `${index + 1}. ${chapter.name}`)
+        .join("\n");
+      existingChaptersBlock.classList.toggle(
+        "hidden",
+        existingChapters.length === 0
+      );
+      creationModeSelect.value = CHAPTER_CREATION_MODES.APPEND;
+      creationModeSelect.disabled = false;
+
+      const examplesSummary = summary.examples
+        .map(
+          (example) =>
+            `• ${example.name || example.id}${
+              example.error ? ` — не загружен: ${example.error}` : ""
+            }`
+        )
+        .join("\n");
+
+      const { strategy } = summary;
+      const strategySummary = strategy.fewShotExamples.length
+        ? `${strategy.title} (примеры: ${strategy.fewShotExamples.join(", ")})`
+        : strategy.title;
+
+      const { generated, placeholders } = summary.fillerThemes;
+      const fillerSummary =
+        generated + placeholders > 0
+          ? `➕ Добавлено тем для выравнивания: ${generated + placeholders}${
+              placeholders ? ` (заглушек: ${placeholders})` : ""
+            }\n`
+          : "";
+
+      previewSummary.textContent = `Название дисциплины: ${summary.title}
+Уровень: ${summary.level}
+🧠 Стратегия: ${strategySummary}
+${fillerSummary}${
+        examplesSummary
+          ? `\n📚 Примеры похожих дисциплин:\n${examplesSummary}\n`
+          : ""
+      }
 🗂 Требования по трудоемкости:
-${summary.apiSummary}
+${summary.apiSummary}`;
+
+      document.body.classList.add("wide");
+      previewContainer.classList.remove("hidden");
+      output.textContent =
+        "📝 Проверьте и отредактируйте структуру перед созданием разделов";
+    } catch (error) {
+      console.error("❌ Generate structure error:", error);
+      alert("❌ Ошибка: " + error.message);
+    } finally {
+      generateStructureBtn.disabled = false;
+    }
+  });
 
-Продолжить создание разделов?`;
+  function hidePreview() {
+    pendingGeneration = null;
+    previewContainer.classList.add("hidden");
+    document.body.classList.remove("wide");
+    confirmCreateBtn.textContent = "Создать разделы";
+  }
 
-      const proceed = confirm(confirmMessage);
+  // Partial failure: the batch was rolled back or is resumed later
+  function showPartialCreation(report) {
+    const { batch } = pendingGeneration;
+    creationModeSelect.disabled = batch.isStarted();
+    confirmCreateBtn.textContent = batch.isStarted()
+      ? `▶️ Продолжить с раздела ${batch.resumeFrom + 1}`
+      : "Создать разделы";
+    output.textContent = formatCreationReport(report);
+  }
 
-      if (!proceed) {
-        output.textContent = "Отменено пользователем";
-        return;
-      }
+  // Create chapters from the edited preview
+  confirmCreateBtn.addEventListener("click", async () => {
+    if (!pendingGeneration) return;
+
+    const chapters = structurePreview.getChapters();
+    if (chapters.length === 0) {
+      alert("Структура пуста — добавьте хотя бы один раздел");
+      return;
+    }
+
+    const balanced = structurePreview.isBalanced();
+    if (
+      !balanced &&
+      !confirm(
+        "⚠️ Трудоемкость не совпадает с требованиями дисциплины.\n\nВсё равно создать разделы?"
+      )
+    ) {
+      return;
+    }
+
+    const { summary, existingChapters, batch } = pendingGeneration;
+    const mode =
+      existingChapters.length > 0
+        ? creationModeSelect.value
+        : CHAPTER_CREATION_MODES.APPEND;
+
+    if (
+      mode === CHAPTER_CREATION_MODES.REPLACE &&
+      !batch.isStarted() &&
+      !confirm(
+        `🗑 Будут удалены все существующие разделы (${existingChapters.length}). Продолжить?`
+      )
+    ) {
+      return;
+    }
 
+    try {
+      confirmCreateBtn.disabled = true;
       output.textContent = "⏳ Создание разделов в системе...";
 
-      // Create chapters in ITMO system
-      const creationResults = await BackgroundApi.createChaptersFromStructure(
-        disciplineId,
-        token,
-        tabUrl,
-        chapters,
-        summary.workTypes
-      );
+      // Only the edited tree is sent to the background
+      const report = await batch.run(chapters, summary.workTypes, mode);
+
+      if (!report.completed) {
+        showPartialCreation(report);
+        return;
+      }
 
-      // Show detailed results with balancing info
-      const balancingStatus = summary.balancingSuccess
+      const createdCount = report.created.length;
+      const mergedCount = report.updated.length;
+
+      const balancingStatus = balanced
         ? "✅ Трудоемкость сбалансирована!"
         : "⚠️ Требуется корректировка трудоемкости";
 
-      let balancingDetails = "";
-      if (summary.balancingDetails) {
-        const details = summary.balancingDetails;
-        balancingDetails = `\n\n📊 Анализ трудоемкости:\n`;
-        balancingDetails += `Лекции: ${details.actual["Лекция"] || 0}/${
-          details.target.lectures
-        } тем → ${(details.actual["Лекция"] || 0) * 2}/${
-          details.target.lectureHours
-        } часов ${details.lecturesMatch ? "✅" : "❌"}\n`;
-        balancingDetails += `Лабораторные: ${
-          details.actual["Лабораторная работа"] || 0
-        }/${details.target.labs} тем → ${
-          (details.actual["Лабораторная работа"] || 0) * 2
-        }/${details.target.labHours} часов ${
-          details.labsMatch ? "✅" : "❌"
-        }\n`;
-        if (details.target.practices > 0) {
-          balancingDetails += `Практики: ${details.actual["Практика"] || 0}/${
-            details.target.practices
-          } тем → ${(details.actual["Практика"] || 0) * 2}/${
-            details.target.practiceHours
-          } часов ${details.practicesMatch ? "✅" : "❌"}\n`;
-        }
-      }
+      const balancingDetails = structurePreview
+        .getTotals()
+        .map(
+          (row) =>
+            `${row.name}: ${row.planned}/${row.target} часов ${
+              row.matches ? "✅" : "❌"
+            }`
+        )
+        .join("\n");
 
+      hidePreview();
       output.textContent = `✅ Структура создана! ${balancingStatus}`;
 
       alert(
         `${balancingStatus}\n\n` +
-          `📚 Создано разделов: ${creationResults.length}\n` +
-          `${balancingDetails}\n\n` +
-          `📋 Сгенерированная структура:\n\n${structure}\n\n` +
+          `📚 Создано разделов: ${createdCount}\n` +
+          (mergedCount ? `🔀 Объединено разделов: ${mergedCount}\n` : "") +
+          "\n" +
+          `📊 Анализ трудоемкости:\n${balancingDetails}\n\n` +
+          (report.workload.deviations.length
+            ? `⚠️ Отклонения:\n${report.workload.deviations
+                .map((d) => describeDeviation(d, report.workload.granularity))
+                .join("\n")}\n\n`
+            : "") +
+          (report.workload.selfStudy.hours.some((hours) => hours > 0)
+            ? `🕒 ${describeSelfStudySplit(report.workload.selfStudy)}\n\n`
+            : "") +
+          `📋 Созданная структура:\n\n${formatChaptersText(chapters)}\n\n` +
           `⏳ Страница автоматически обновится через 1 секунду...`
       );
 
@@ -646,13 +1117,18 @@ ${summary.apiSummary}
         }
       }, 1000);
     } catch (error) {
-      console.error("❌ Generate structure error:", error);
+      console.error("❌ Create chapters error:", error);
       alert("❌ Ошибка: " + error.message);
     } finally {
-      generateStructureBtn.disabled = false;
+      confirmCreateBtn.disabled = false;
     }
   });
 
+  cancelCreateBtn.addEventListener("click", () => {
+    hidePreview();
+    output.textContent = "Отменено пользователем";
+  });
+
   // Debug button for troubleshooting
   debugBtn.addEventListener("click", async () => {
     try {
@@ -725,6 +1201,13 @@ ${summary.apiSummary}
     }
   });
 
+  // Batch evaluation opens in its own tab and keeps running without the popup
+  batchBtn.addEventListener("click", () => {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL("src/batch/batch.html"),
+    });
+  });
+
   // Settings button
   settingsBtn.addEventListener("click", () => {
     chrome.runtime.openOptionsPage();
@@ -0,0 +1,207 @@
+// Similar Programs - search filters and ranked candidates in the popup
+// Each candidate can show its chapters, be picked as the reference
+// or marked as an example structure for generation
+
+import {
+  EDUCATION_LEVELS,
+  PROGRAM_STATUSES,
+  PROGRAM_TYPES,
+} from "../constants/index.js";
+import {
+  MAX_GENERATION_EXAMPLES,
+  SAME_LEVEL,
+  SIMILAR_SEARCH_DEFAULTS,
+} from "../utils/programSearch.js";
+
+function el(tag, props = {}, children = []) {
+  const node = document.createElement(tag);
+  Object.entries(props).forEach(([key, value]) => {
+    if (key === "className") node.className = value;
+    else if (key === "text") node.textContent = value;
+    else if (key.startsWith("on")) node.addEventListener(key.slice(2), value);
+    else node.setAttribute(key, value);
+  });
+  children.forEach((child) => child && node.appendChild(child));
+  return node;
+}
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+function select(options, value) {
+  const node = el(
+    "select",
+    {},
+    options.map(([optionValue, text]) =>
+      el("option", { value: optionValue, text })
+    )
+  );
+  node.value = value;
+  return node;
+}
+
+const ANY = ["", "любой"];
+
+export class SimilarProgramsView {
+  // onUseAsReference(program) is called by the "use as reference" button,
+  // onExamplesChange(examples) whenever the set of examples changes
+  constructor(filtersContainer, list, { onUseAsReference, onExamplesChange }) {
+    this.filtersContainer = filtersContainer;
+    this.list = list;
+    this.onUseAsReference = onUseAsReference;
+    this.onExamplesChange = onExamplesChange;
+    this.examples = new Map();
+    this.renderFilters();
+  }
+
+  renderFilters() {
+    const defaults = SIMILAR_SEARCH_DEFAULTS;
+    this.levelSelect = select(
+      [
+        [SAME_LEVEL, "как у дисциплины"],
+        ...Object.entries(EDUCATION_LEVELS),
+        ANY,
+      ],
+      defaults.educationLevelId
+    );
+    this.statusSelect = select(
+      [...Object.entries(PROGRAM_STATUSES), ANY],
+      defaults.statusId
+    );
+    this.typeSelect = select(
+      [...Object.entries(PROGRAM_TYPES), ANY],
+      defaults.programTypeId
+    );
+    this.yearInput = el("input", {
+      type: "number",
+      min: "2000",
+      max: "2100",
+      placeholder: "любой",
+    });
+
+    const field = (label, control) =>
+      el("label", { className: "similar-filter" }, [
+        el("span", { text: label }),
+        control,
+      ]);
+
+    this.filtersContainer.innerHTML = "";
+    this.filtersContainer.append(
+      field("Уровень", this.levelSelect),
+      field("Статус", this.statusSelect),
+      field("Тип программы", this.typeSelect),
+      field("Год", this.yearInput)
+    );
+  }
+
+  getFilters() {
+    return {
+      educationLevelId: this.levelSelect.value,
+      statusId: this.statusSelect.value,
+      programTypeId: this.typeSelect.value,
+      year: this.yearInput.value.trim(),
+    };
+  }
+
+  // Programs marked as generation examples: [{ id, name }]
+  getExamples() {
+    return [...this.examples.values()];
+  }
+
+  // Examples belong to the listed search results and are reset with them
+  clear() {
+    this.list.innerHTML = "";
+    if (this.examples.size > 0) {
+      this.examples.clear();
+      this.onExamplesChange(this.getExamples());
+    }
+  }
+
+  toggleExample(program, checkbox) {
+    if (!checkbox.checked) {
+      this.examples.delete(program.id);
+    } else if (this.examples.size >= MAX_GENERATION_EXAMPLES) {
+      checkbox.checked = false;
+      alert(`Можно выбрать не больше ${MAX_GENERATION_EXAMPLES} примеров`);
+      return;
+    } else {
+      this.examples.set(program.id, { id: program.id, name: program.name });
+    }
+    this.onExamplesChange(this.getExamples());
+  }
+
+  // programs: ranked list from SimilarProgramService.findSimilar
+  render(programs) {
+    this.clear();
+    programs.forEach((program) =>
+      this.list.appendChild(this.renderProgram(program))
+    );
+  }
+
+  renderProgram(program) {
+    const preview = el("pre", {
+      className: "similar-preview hidden",
+      text: program.courseText || "Разделы недоступны.",
+    });
+
+    const scoreTitle =
+      `Название: ${percent(program.titleScore)}` +
+      (program.structureScore === null
+        ? ", структура не загружена"
+        : `, структура: ${percent(program.structureScore)}`);
+
+    return el("div", { className: "similar-item" }, [
+      el("div", { className: "similar-row" }, [
+        el("span", {
+          className: "similar-score",
+          text: percent(program.score),
+          title: scoreTitle,
+        }),
+        el("span", {
+          className: "similar-name",
+          text: `${program.name} (ID: ${program.id}${
+            program.year ? `, ${program.year}` : ""
+          })`,
+        }),
+      ]),
+      el("div", { className: "similar-actions" }, [
+        this.renderExampleToggle(program),
+        el("button", {
+          className: "preview-link",
+          text: "▸ Разделы",
+          onclick: (e) => {
+            const hidden = preview.classList.toggle("hidden");
+            e.target.textContent = hidden ? "▸ Разделы" : "▾ Разделы";
+          },
+        }),
+        el("button", {
+          className: "preview-link",
+          text: "Использовать как эталон",
+          onclick: () => this.onUseAsReference(program),
+        }),
+      ]),
+      preview,
+    ]);
+  }
+
+  renderExampleToggle(program) {
+    const checkbox = el("input", {
+      type: "checkbox",
+      onchange: () => this.toggleExample(program, checkbox),
+    });
+    checkbox.checked = this.examples.has(program.id);
+
+    // A program without chapters has nothing to show the model
+    if (!program.courseText) {
+      checkbox.disabled = true;
+    }
+
+    return el(
+      "label",
+      {
+        className: "similar-example",
+        title: "Добавить структуру в запрос на генерацию",
+      },
+      [checkbox, el("span", { text: "Пример" })]
+    );
+  }
+}
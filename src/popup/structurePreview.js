@@ -0,0 +1,485 @@
+// Structure Preview - editable tree of a generated course structure
+// Lets the user rename, reorder, retype, add and remove sections and themes,
+// pin СРО hours of a section and have the model rework a single section
+// before anything is written to the ITMO constructor
+
+import {
+  DEFAULT_HOURS_GRANULARITY,
+  DEFAULT_SELF_STUDY_MODE,
+  describeDeviation,
+  describeSelfStudySplit,
+  isFixableDeviation,
+  solveWorkload,
+} from "../utils/workloadSolver.js";
+import {
+  findWorkTypeForLabel,
+  isSelfStudyWorkType,
+  SELF_STUDY_LABEL,
+} from "../utils/workTypeMapping.js";
+import { SECTION_ACTIONS } from "../types/messageTypes.js";
+
+// Theme work types offered when the discipline's work types are unknown
+const DEFAULT_THEME_TYPES = [
+  { value: "лекция", title: "Лекция" },
+  { value: "лабораторная", title: "Лабораторная" },
+  { value: "практика", title: "Практика" },
+  { value: "консультация", title: "Консультация" },
+  { value: SELF_STUDY_LABEL, title: "СРО" },
+];
+
+// Section actions offered when the owner handles them: [action, text, title]
+const SECTION_ACTION_BUTTONS = [
+  [SECTION_ACTIONS.REGENERATE, "↻", "Сгенерировать раздел заново"],
+  [SECTION_ACTIONS.EXPAND, "⤢", "Расширить: описания тем и темы СРО"],
+  [SECTION_ACTIONS.SPLIT, "✂", "Разделить на два раздела"],
+  [SECTION_ACTIONS.MERGE, "⇊", "Объединить со следующим разделом"],
+];
+
+// СРО hours are distributed across chapters automatically on creation
+const AUTO_DISTRIBUTED_TYPE = SELF_STUDY_LABEL;
+
+// One theme type per labelled work type of the discipline, plus СРО
+function buildThemeTypes(workTypes) {
+  const types = workTypes
+    .filter((wt) => wt.label && !isSelfStudyWorkType(wt.name))
+    .map((wt) => ({ value: wt.label, title: wt.name }));
+  return types.length > 0
+    ? [...types, { value: AUTO_DISTRIBUTED_TYPE, title: "СРО" }]
+    : DEFAULT_THEME_TYPES;
+}
+
+function stripTypeLabel(name) {
+  return (name || "").replace(/\s*\(([^)]+)\)\s*$/, "").trim();
+}
+
+// Plain-text rendering in the same format as the generated structure
+export function formatChaptersText(chapters) {
+  return chapters
+    .map(
+      (chapter, index) =>
+        `${index + 1}. ${chapter.name}\n` +
+        chapter.themes.map((theme) => ` - ${theme.name}`).join("\n")
+    )
+    .join("\n");
+}
+
+// Human-readable list of created, failed and rolled-back chapters
+export function formatCreationReport(report) {
+  const list = (items) =>
+    items
+      .map(
+        (item) =>
+          `  ${item.index + 1}. ${item.name}${
+            item.error ? ` — ${item.error}` : ""
+          }`
+      )
+      .join("\n") || "  —";
+
+  return (
+    `✅ Создано:\n${list(report.created)}\n` +
+    (report.updated?.length
+      ? `🔀 Объединено:\n${list(report.updated)}\n`
+      : "") +
+    (report.deleted?.length ? `🗑 Удалено:\n${list(report.deleted)}\n` : "") +
+    `❌ Ошибки:\n${list(report.failed)}\n` +
+    `↩️ Откачено:\n${list(report.rolledBack)}`
+  );
+}
+
+// Small DOM helper to keep rendering code readable
+function el(tag, props = {}, children = []) {
+  const node = document.createElement(tag);
+  Object.entries(props).forEach(([key, value]) => {
+    if (key === "className") node.className = value;
+    else if (key === "text") node.textContent = value;
+    else if (key.startsWith("on")) node.addEventListener(key.slice(2), value);
+    else node.setAttribute(key, value);
+  });
+  children.forEach((child) => child && node.appendChild(child));
+  return node;
+}
+
+function moveItem(list, index, delta) {
+  const target = index + delta;
+  if (target < 0 || target >= list.length) return;
+  const [item] = list.splice(index, 1);
+  list.splice(target, 0, item);
+}
+
+export class StructurePreview {
+  // onSectionAction(action, index, chapters) asks the background to rework
+  // section `index` of getChapters() and loads the result into the preview
+  constructor(container, { onSectionAction } = {}) {
+    this.container = container;
+    this.onSectionAction = onSectionAction;
+    this.busy = false;
+    this.chapters = [];
+    this.workTypes = [];
+    this.granularity = DEFAULT_HOURS_GRANULARITY;
+    this.themeTypes = DEFAULT_THEME_TYPES;
+    this.selfStudyMode = DEFAULT_SELF_STUDY_MODE;
+    this.selfStudyInputs = [];
+  }
+
+  // Load chapters produced by StructureGenerationService.handleGenerateStructure;
+  // granularity and the СРО mode come from summary.workload of the result
+  load(
+    chapters,
+    workTypes = [],
+    granularity = DEFAULT_HOURS_GRANULARITY,
+    selfStudyMode = DEFAULT_SELF_STUDY_MODE
+  ) {
+    this.workTypes = workTypes;
+    this.granularity = granularity;
+    this.selfStudyMode = selfStudyMode;
+    this.themeTypes = buildThemeTypes(workTypes);
+    this.chapters = (chapters || []).map((chapter) => ({
+      name: chapter.name,
+      complexity: chapter.complexity ?? null,
+      selfStudyHours: chapter.selfStudyHours ?? null,
+      themes: (chapter.themes || []).map((theme) => ({
+        name: theme.rawName || stripTypeLabel(theme.name),
+        description: theme.description || null,
+        placeholder: theme.placeholder === true,
+        type: this.themeTypes.some((t) => t.value === theme.normalizedType)
+          ? theme.normalizedType
+          : AUTO_DISTRIBUTED_TYPE,
+      })),
+    }));
+    this.render();
+  }
+
+  // Edited tree in the format expected by CREATE_CHAPTERS_FROM_STRUCTURE
+  getChapters() {
+    return this.chapters
+      .filter((chapter) => chapter.name.trim())
+      .map((chapter) => ({
+        name: chapter.name.trim(),
+        complexity: chapter.complexity,
+        selfStudyHours: chapter.selfStudyHours,
+        themes: chapter.themes
+          .filter((theme) => theme.name.trim())
+          .map((theme) => ({
+            name: `${theme.name.trim()} (${theme.type})`,
+            rawName: theme.name.trim(),
+            label: theme.type,
+            normalizedType: theme.type,
+            description: theme.description || null,
+            placeholder: theme.placeholder,
+          })),
+      }));
+  }
+
+  // Hours the workload solver would create for the current tree
+  getWorkload() {
+    const counts = this.chapters.map((chapter) => {
+      const chapterCounts = {};
+      chapter.themes.forEach((theme) => {
+        const workType = findWorkTypeForLabel(theme.type, this.workTypes);
+        if (workType) {
+          const id = workType.program_work_type_id;
+          chapterCounts[id] = (chapterCounts[id] || 0) + 1;
+        }
+      });
+      return chapterCounts;
+    });
+    return solveWorkload(this.workTypes, counts, this.granularity, {
+      mode: this.selfStudyMode,
+      complexity: this.chapters.map((chapter) => chapter.complexity),
+      pins: this.chapters.map((chapter) => chapter.selfStudyHours),
+    });
+  }
+
+  hasSelfStudy() {
+    return this.workTypes.some(
+      (wt) => wt.hours > 0 && isSelfStudyWorkType(wt.name)
+    );
+  }
+
+  // Planned hours and themes per work type compared to the /info requirements;
+  // a row matches unless editing the tree could remove its deviation
+  getTotals() {
+    const { totals, deviations } = this.getWorkload();
+    return totals.map((row) => ({
+      name: row.name,
+      target: row.target,
+      planned: row.planned,
+      themes: row.themes,
+      expectedThemes: row.expectedThemes,
+      automatic: row.selfStudy,
+      matches: !deviations.some(
+        (d) => d.workTypeId === row.id && isFixableDeviation(d)
+      ),
+    }));
+  }
+
+  // Filler themes the balancer could not get from the model
+  getPlaceholderCount() {
+    return this.chapters.reduce(
+      (sum, chapter) =>
+        sum + chapter.themes.filter((theme) => theme.placeholder).length,
+      0
+    );
+  }
+
+  isBalanced() {
+    return this.getTotals().every((row) => row.matches);
+  }
+
+  render() {
+    this.container.innerHTML = "";
+    this.totalsTable = el("table", {
+      className: "metrics-table preview-totals",
+    });
+    this.deviationsList = el("ul", { className: "preview-deviations" });
+    this.selfStudySummary = el("p", { className: "preview-self-study" });
+    this.container.append(
+      this.totalsTable,
+      this.deviationsList,
+      this.selfStudySummary
+    );
+
+    this.selfStudyInputs = [];
+    this.chapters.forEach((chapter, index) => {
+      this.container.appendChild(this.renderChapter(chapter, index));
+    });
+    this.renderTotals();
+
+    this.container.appendChild(
+      el("button", {
+        className: "btn-info preview-add",
+        text: "➕ Добавить раздел",
+        onclick: () => {
+          this.chapters.push({
+            name: "Новый раздел",
+            complexity: null,
+            selfStudyHours: null,
+            themes: [],
+          });
+          this.render();
+        },
+      })
+    );
+  }
+
+  renderTotals() {
+    const workload = this.getWorkload();
+    const rows = this.getTotals().map((row) => {
+      const value = row.automatic
+        ? `${row.target} ч (авто)`
+        : `${row.planned}/${row.target} ч, тем ${row.themes}/${row.expectedThemes}`;
+      return el("tr", {}, [
+        el("td", { text: row.name }),
+        el("td", {
+          className: row.matches ? "metric-good" : "metric-bad",
+          text: value,
+        }),
+      ]);
+    });
+
+    this.totalsTable.innerHTML = "";
+    rows.forEach((row) => this.totalsTable.appendChild(row));
+
+    this.deviationsList.innerHTML = "";
+    workload.deviations.forEach((deviation) =>
+      this.deviationsList.appendChild(
+        el("li", {
+          text: `⚠️ ${describeDeviation(deviation, this.granularity)}`,
+        })
+      )
+    );
+    const placeholders = this.getPlaceholderCount();
+    if (placeholders > 0) {
+      this.deviationsList.appendChild(
+        el("li", {
+          text: `⚠️ Тем-заглушек: ${placeholders} — модель не смогла их предложить, переименуйте перед созданием`,
+        })
+      );
+    }
+
+    // Unpinned sections show the hours they would get as a placeholder
+    this.selfStudySummary.textContent = this.hasSelfStudy()
+      ? `🕒 ${describeSelfStudySplit(workload.selfStudy)}`
+      : "";
+    this.selfStudyInputs.forEach((input, index) => {
+      input.placeholder = String(workload.selfStudy.hours[index] ?? "");
+    });
+  }
+
+  // Empty means automatic, a number pins the СРО hours of the section
+  renderSelfStudyInput(chapter) {
+    if (!this.hasSelfStudy()) return null;
+
+    const input = el("input", {
+      type: "number",
+      min: "0",
+      step: "1",
+      className: "preview-input preview-self-study-hours",
+      title: "Часы СРО раздела; пусто — автоматически",
+      oninput: (e) => {
+        const hours = parseInt(e.target.value, 10);
+        chapter.selfStudyHours = hours >= 0 ? hours : null;
+        this.renderTotals();
+      },
+    });
+    input.value = chapter.selfStudyHours ?? "";
+    this.selfStudyInputs.push(input);
+    return el("label", { className: "preview-self-study-pin" }, [
+      el("span", { text: "СРО" }),
+      input,
+    ]);
+  }
+
+  renderChapter(chapter, index) {
+    const header = el("div", { className: "preview-row" }, [
+      el("span", { className: "preview-index", text: `${index + 1}.` }),
+      el("input", {
+        type: "text",
+        className: "preview-input preview-chapter-name",
+        value: chapter.name,
+        oninput: (e) => {
+          chapter.name = e.target.value;
+        },
+      }),
+      this.renderSelfStudyInput(chapter),
+      this.renderControls(this.chapters, index),
+    ]);
+
+    const themes = el(
+      "ul",
+      { className: "preview-themes" },
+      chapter.themes.map((theme, themeIndex) =>
+        this.renderTheme(chapter, theme, themeIndex)
+      )
+    );
+
+    const addTheme = el("button", {
+      className: "preview-link",
+      text: "+ тема",
+      onclick: () => {
+        chapter.themes.push({
+          name: "Новая тема",
+          type: this.themeTypes[0].value,
+        });
+        this.render();
+      },
+    });
+
+    return el("div", { className: "preview-chapter" }, [
+      header,
+      this.renderSectionActions(index),
+      themes,
+      addTheme,
+    ]);
+  }
+
+  // Model actions on one section; merge needs a following section
+  renderSectionActions(index) {
+    if (!this.onSectionAction) return null;
+
+    return el(
+      "div",
+      { className: "preview-section-actions" },
+      SECTION_ACTION_BUTTONS.filter(
+        ([action]) =>
+          action !== SECTION_ACTIONS.MERGE || index < this.chapters.length - 1
+      ).map(([action, text, title]) =>
+        el("button", {
+          className: "preview-control",
+          text,
+          title,
+          onclick: () => this.runSectionAction(action, index),
+        })
+      )
+    );
+  }
+
+  async runSectionAction(action, index) {
+    if (this.busy) return;
+    const span = action === SECTION_ACTIONS.MERGE ? 2 : 1;
+    if (
+      this.chapters
+        .slice(index, index + span)
+        .some((chapter) => !chapter.name.trim())
+    ) {
+      alert("Укажите название раздела");
+      return;
+    }
+
+    // Sections without a name are left out of getChapters()
+    const position = this.chapters
+      .slice(0, index)
+      .filter((chapter) => chapter.name.trim()).length;
+
+    this.busy = true;
+    this.container.classList.add("preview-busy");
+    try {
+      await this.onSectionAction(action, position, this.getChapters());
+    } finally {
+      this.busy = false;
+      this.container.classList.remove("preview-busy");
+    }
+  }
+
+  renderTheme(chapter, theme, index) {
+    const select = el(
+      "select",
+      {
+        className: "preview-type",
+        onchange: (e) => {
+          theme.type = e.target.value;
+          this.renderTotals();
+        },
+      },
+      this.themeTypes.map((type) =>
+        el("option", { value: type.value, text: type.title })
+      )
+    );
+    select.value = theme.type;
+
+    return el("li", { className: "preview-row" }, [
+      el("input", {
+        type: "text",
+        className: theme.placeholder
+          ? "preview-input preview-placeholder"
+          : "preview-input",
+        value: theme.name,
+        title: theme.placeholder
+          ? "Заглушка: модель была недоступна, укажите тему"
+          : theme.description || "",
+        oninput: (e) => {
+          theme.name = e.target.value;
+          // A renamed placeholder is a real theme
+          if (theme.placeholder) {
+            theme.placeholder = false;
+            e.target.classList.remove("preview-placeholder");
+            e.target.title = "";
+            this.renderTotals();
+          }
+        },
+      }),
+      select,
+      this.renderControls(chapter.themes, index),
+    ]);
+  }
+
+  // ↑ ↓ ✕ buttons shared by sections and themes
+  renderControls(list, index) {
+    const button = (text, title, handler) =>
+      el("button", {
+        className: "preview-control",
+        text,
+        title,
+        onclick: () => {
+          handler();
+          this.render();
+        },
+      });
+
+    return el("span", { className: "preview-controls" }, [
+      button("↑", "Выше", () => moveItem(list, index, -1)),
+      button("↓", "Ниже", () => moveItem(list, index, 1)),
+      button("✕", "Удалить", () => list.splice(index, 1)),
+    ]);
+  }
+}
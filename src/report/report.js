@@ -0,0 +1,32 @@
+// Printable evaluation report page
+// The popup stores the report in session storage and opens this page;
+// with ?print=1 the browser print dialog (Save as PDF) opens automatically
+
+import {
+  PENDING_REPORT_KEY,
+  REPORT_CSS,
+  renderReportBody,
+} from "../utils/reportExport.js";
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const { [PENDING_REPORT_KEY]: report } = await chrome.storage.session.get([
+    PENDING_REPORT_KEY,
+  ]);
+
+  if (!report) {
+    document.getElementById("reportStatus").textContent =
+      "Отчёт не найден. Сформируйте его заново из окна расширения.";
+    return;
+  }
+
+  const style = document.createElement("style");
+  style.textContent = REPORT_CSS;
+  document.head.appendChild(style);
+
+  document.title = `Отчёт: ${report.name}`;
+  document.body.innerHTML = renderReportBody(report);
+
+  if (new URLSearchParams(location.search).get("print") === "1") {
+    window.print();
+  }
+});
@@ -28,7 +28,9 @@ export class BackgroundApi {
         if (response.success) {
           resolve(response.data);
         } else {
-          reject(new Error(response.error || "Unknown error"));
+          const error = new Error(response.error || "Unknown error");
+          if (response.code) error.code = response.code;
+          reject(error);
         }
       });
     });
@@ -48,36 +50,90 @@ export class BackgroundApi {
   }
 
   // ITMO API methods
-  static async fetchDisciplineInfo(disciplineId, token, domain) {
+  // options.transport: ITMO_TRANSPORTS value, direct with proxy fallback by default
+  static async fetchDisciplineInfo(disciplineId, token, domain, options = {}) {
     return this.sendMessage(MESSAGE_TYPES.FETCH_DISCIPLINE_INFO, {
       disciplineId,
       token,
       domain,
+      ...options,
     });
   }
 
-  static async fetchCourseStructure(disciplineId, token, domain) {
+  static async fetchCourseStructure(disciplineId, token, domain, options = {}) {
     return this.sendMessage(MESSAGE_TYPES.FETCH_COURSE_STRUCTURE, {
       disciplineId,
       token,
       domain,
+      ...options,
     });
   }
 
-  static async findApprovedPrograms(disciplineId, token, domain) {
+  static async fetchChapters(disciplineId, token, domain, options = {}) {
+    return this.sendMessage(MESSAGE_TYPES.FETCH_CHAPTERS, {
+      disciplineId,
+      token,
+      domain,
+      ...options,
+    });
+  }
+
+  static async findApprovedPrograms(disciplineId, token, domain, options = {}) {
     return this.sendMessage(MESSAGE_TYPES.FIND_APPROVED_PROGRAMS, {
       disciplineId,
       token,
       domain,
+      ...options,
+    });
+  }
+
+  // filters: see SIMILAR_SEARCH_DEFAULTS in utils/programSearch.js
+  static async findSimilarPrograms(
+    disciplineId,
+    token,
+    domain,
+    filters = {},
+    options = {}
+  ) {
+    return this.sendMessage(MESSAGE_TYPES.FIND_SIMILAR_PROGRAMS, {
+      disciplineId,
+      token,
+      domain,
+      filters,
+      ...options,
+    });
+  }
+
+  // mode: AUTO_REFERENCE_MODES value (best match or the top ones combined)
+  static async selectReference(
+    disciplineId,
+    token,
+    domain,
+    mode,
+    options = {}
+  ) {
+    return this.sendMessage(MESSAGE_TYPES.SELECT_REFERENCE, {
+      disciplineId,
+      token,
+      domain,
+      mode,
+      ...options,
     });
   }
 
-  static async createChapter(disciplineId, token, domain, chapterData) {
+  static async createChapter(
+    disciplineId,
+    token,
+    domain,
+    chapterData,
+    options = {}
+  ) {
     return this.sendMessage(MESSAGE_TYPES.CREATE_CHAPTER, {
       disciplineId,
       token,
       domain,
       chapterData,
+      ...options,
     });
   }
 
@@ -90,12 +146,19 @@ export class BackgroundApi {
   }
 
   // Structure generation methods
-  static async generateStructure(disciplineId, token, domain, openaiKey) {
+  static async generateStructure(
+    disciplineId,
+    token,
+    domain,
+    openaiKey,
+    options = {}
+  ) {
     return this.sendMessage(MESSAGE_TYPES.GENERATE_STRUCTURE, {
       disciplineId,
       token,
       domain,
       openaiKey,
+      ...options,
     });
   }
 
@@ -104,7 +167,8 @@ export class BackgroundApi {
     token,
     domain,
     chapters,
-    workTypes
+    workTypes,
+    options = {}
   ) {
     return this.sendMessage(MESSAGE_TYPES.CREATE_CHAPTERS_FROM_STRUCTURE, {
       disciplineId,
@@ -112,17 +176,104 @@ export class BackgroundApi {
       domain,
       chapters,
       workTypes,
+      ...options,
+    });
+  }
+
+  // edit: { chapters, index, action } with action from SECTION_ACTIONS
+  static async editStructureSection(
+    disciplineId,
+    token,
+    domain,
+    openaiKey,
+    edit,
+    options = {}
+  ) {
+    return this.sendMessage(MESSAGE_TYPES.EDIT_STRUCTURE_SECTION, {
+      disciplineId,
+      token,
+      domain,
+      openaiKey,
+      ...edit,
+      ...options,
+    });
+  }
+
+  // changes: { chapters: created, updated, deleted } from a creation report
+  static async rollbackChapters(
+    disciplineId,
+    token,
+    domain,
+    changes,
+    options = {}
+  ) {
+    return this.sendMessage(MESSAGE_TYPES.ROLLBACK_CHAPTERS, {
+      disciplineId,
+      token,
+      domain,
+      ...changes,
+      ...options,
     });
   }
 
   // Evaluation API methods
-  static async evaluateDiscipline(courseText, referenceText = null) {
+  // meta: { disciplineId, referenceId } to record the run in history
+  static async evaluateDiscipline(courseText, referenceText = null, meta = {}) {
     return this.sendMessage(MESSAGE_TYPES.EVALUATE_DISCIPLINE, {
       courseText,
       referenceText,
+      ...meta,
+    });
+  }
+
+  // referenceIds: several references evaluated at once, the result carries
+  // `references` (per reference) and their aggregated metrics
+  static async evaluateMultiReference(
+    courseText,
+    referenceIds,
+    disciplineId,
+    token,
+    domain
+  ) {
+    return this.sendMessage(MESSAGE_TYPES.EVALUATE_MULTI_REFERENCE, {
+      courseText,
+      referenceIds,
+      disciplineId,
+      token,
+      domain,
+    });
+  }
+
+  // Evaluation history methods
+  static async getEvaluationHistory(disciplineId) {
+    return this.sendMessage(MESSAGE_TYPES.GET_EVALUATION_HISTORY, {
+      disciplineId,
     });
   }
 
+  static async clearEvaluationHistory(disciplineId) {
+    return this.sendMessage(MESSAGE_TYPES.CLEAR_EVALUATION_HISTORY, {
+      disciplineId,
+    });
+  }
+
+  // Batch evaluation methods
+  static async startBatchEvaluation(items, concurrency, transport) {
+    return this.sendMessage(MESSAGE_TYPES.START_BATCH_EVALUATION, {
+      items,
+      concurrency,
+      transport,
+    });
+  }
+
+  static async getBatchStatus() {
+    return this.sendMessage(MESSAGE_TYPES.GET_BATCH_STATUS);
+  }
+
+  static async cancelBatchEvaluation() {
+    return this.sendMessage(MESSAGE_TYPES.CANCEL_BATCH_EVALUATION);
+  }
+
   // Analytics methods
   static async trackEvaluation(data) {
     return this.sendMessage(MESSAGE_TYPES.TRACK_EVALUATION, data);
@@ -179,6 +330,10 @@ export const ItmoApi = {
     return BackgroundApi.fetchCourseStructure(disciplineId, token, domain);
   },
 
+  async getChapters(disciplineId, token, domain) {
+    return BackgroundApi.fetchChapters(disciplineId, token, domain);
+  },
+
   async findSimilarPrograms(disciplineId, token, domain) {
     return BackgroundApi.findApprovedPrograms(disciplineId, token, domain);
   },
@@ -198,6 +353,10 @@ export const EvaluationApi = {
     return BackgroundApi.evaluateDiscipline(courseText, referenceText);
   },
 
+  async getHistory(disciplineId) {
+    return BackgroundApi.getEvaluationHistory(disciplineId);
+  },
+
   async trackUsage(data) {
     return BackgroundApi.trackEvaluation(data);
   },
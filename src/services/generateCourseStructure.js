@@ -1,3 +1,6 @@
+import { resolveLlmConfig, createChatCompletion } from "./llmProvider.js";
+
+// llmConfig comes from resolveLlmConfig(settings); without it OpenAI is used
 export async function generateCourseStructure({
   title,
   keywords,
@@ -5,6 +8,7 @@ export async function generateCourseStructure({
   hours,
   context,
   openAiApiKey,
+  llmConfig,
   approach = "zero-shot",
 }) {
   const levelPrompt =
@@ -40,34 +44,21 @@ export async function generateCourseStructure({
       : ""
   }`;
 
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${openAiApiKey}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model: "gpt-4o",
-      temperature: 0.7,
-      messages: [
-        {
-          role: "system",
-          content:
-            "Ты помощник преподавателя, генерируешь только структуру дисциплины.",
-        },
-        {
-          role: "user",
-          content: prompt,
-        },
-      ],
-    }),
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Ошибка запроса к OpenAI: ${errorText}`);
-  }
+  const config = llmConfig || resolveLlmConfig({ openaiApiKey: openAiApiKey });
 
-  const json = await response.json();
-  return json.choices?.[0]?.message?.content || "";
+  return createChatCompletion(
+    config,
+    [
+      {
+        role: "system",
+        content:
+          "Ты помощник преподавателя, генерируешь только структуру дисциплины.",
+      },
+      {
+        role: "user",
+        content: prompt,
+      },
+    ],
+    { temperature: 0.7 }
+  );
 }
@@ -11,3 +11,9 @@ export {
 export { evaluateDiscipline } from "./evaluator.js";
 export { trackEvaluationEvent } from "./analytics.js";
 export { generateCourseStructure } from "./generateCourseStructure.js";
+export {
+  LLM_PROVIDERS,
+  DEFAULT_LLM_PROVIDER,
+  resolveLlmConfig,
+  createChatCompletion,
+} from "./llmProvider.js";
@@ -0,0 +1,199 @@
+// LLM Provider layer
+// One chat-completion interface over OpenAI, OpenAI-compatible local servers
+// (Ollama, vLLM, LM Studio), YandexGPT and GigaChat
+
+// Provider presets; every field can be overridden in the options page
+export const LLM_PROVIDERS = {
+  openai: {
+    title: "OpenAI",
+    baseUrl: "https://api.openai.com/v1",
+    model: "gpt-4o",
+    authHeader: "Authorization",
+    authScheme: "Bearer",
+    format: "openai",
+    requiresKey: true,
+    supportsJsonSchema: true,
+  },
+  local: {
+    title: "Локальный сервер (Ollama, vLLM, LM Studio)",
+    baseUrl: "http://localhost:11434/v1",
+    model: "llama3.1",
+    authHeader: "Authorization",
+    authScheme: "Bearer",
+    format: "openai",
+    requiresKey: false,
+    supportsJsonSchema: true,
+  },
+  yandexgpt: {
+    title: "YandexGPT",
+    baseUrl: "https://llm.api.cloud.yandex.net/foundationModels/v1",
+    model: "gpt://<folder_id>/yandexgpt/latest",
+    authHeader: "Authorization",
+    authScheme: "Api-Key",
+    format: "yandex",
+    requiresKey: true,
+    supportsJsonSchema: false,
+  },
+  gigachat: {
+    title: "GigaChat",
+    baseUrl: "https://gigachat.devices.sberbank.ru/api/v1",
+    model: "GigaChat",
+    authHeader: "Authorization",
+    authScheme: "Bearer",
+    format: "openai",
+    requiresKey: true,
+    supportsJsonSchema: false,
+    // The configured key is the authorization key; requests use a 30-minute
+    // access token obtained from it
+    oauth: {
+      url: "https://ngw.devices.sberbank.ru:9443/api/v2/oauth",
+      scope: "GIGACHAT_API_PERS",
+    },
+  },
+};
+
+export const DEFAULT_LLM_PROVIDER = "openai";
+
+// "Authorization: Bearer" → header name + value prefix, "X-API-Key:" → raw key
+function parseAuthHeader(value, preset) {
+  if (!value || !value.trim()) {
+    return { authHeader: preset.authHeader, authScheme: preset.authScheme };
+  }
+  const [name, ...rest] = value.split(":");
+  return { authHeader: name.trim(), authScheme: rest.join(":").trim() };
+}
+
+// Effective provider config from extension settings (empty values = preset)
+export function resolveLlmConfig(settings = {}) {
+  const provider = LLM_PROVIDERS[settings.llmProvider]
+    ? settings.llmProvider
+    : DEFAULT_LLM_PROVIDER;
+  const preset = LLM_PROVIDERS[provider];
+  const temperature = parseFloat(settings.llmTemperature);
+
+  return {
+    ...preset,
+    provider,
+    baseUrl: (settings.llmBaseUrl || preset.baseUrl).replace(/\/+$/, ""),
+    model: settings.llmModel || preset.model,
+    ...parseAuthHeader(settings.llmAuthHeader, preset),
+    temperature: Number.isFinite(temperature) ? temperature : null,
+    apiKey: settings.openaiApiKey || "",
+  };
+}
+
+// OAuth access tokens by authorization key; renewed a minute before expiry
+const accessTokens = new Map();
+const ACCESS_TOKEN_MARGIN = 60 * 1000;
+
+async function fetchAccessToken(config) {
+  const cacheKey = `${config.oauth.scope}:${config.apiKey}`;
+  const cached = accessTokens.get(cacheKey);
+  if (cached && cached.expiresAt - ACCESS_TOKEN_MARGIN > Date.now()) {
+    return cached.token;
+  }
+
+  const response = await fetch(config.oauth.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+      RqUID: crypto.randomUUID(),
+      Authorization: `Basic ${config.apiKey}`,
+    },
+    body: new URLSearchParams({ scope: config.oauth.scope }).toString(),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `${config.title} OAuth Error ${response.status}: ${
+        errorData.message || "Unknown error"
+      }`
+    );
+  }
+
+  const data = await response.json();
+  accessTokens.set(cacheKey, {
+    token: data.access_token,
+    expiresAt: data.expires_at,
+  });
+  return data.access_token;
+}
+
+async function createHeaders(config) {
+  const headers = { "Content-Type": "application/json" };
+  const key = config.oauth ? await fetchAccessToken(config) : config.apiKey;
+  if (key) {
+    headers[config.authHeader] = config.authScheme
+      ? `${config.authScheme} ${key}`
+      : key;
+  }
+  return headers;
+}
+
+// OpenAI-compatible /chat/completions
+async function callOpenAiFormat(config, messages, temperature, options) {
+  const body = { model: config.model, messages, temperature };
+  if (options.responseFormat && config.supportsJsonSchema) {
+    body.response_format = options.responseFormat;
+  }
+
+  const response = await fetch(`${config.baseUrl}/chat/completions`, {
+    method: "POST",
+    headers: await createHeaders(config),
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `${config.title} API Error ${response.status}: ${
+        errorData.error?.message || "Unknown error"
+      }`
+    );
+  }
+
+  const data = await response.json();
+  return data.choices?.[0]?.message?.content || "";
+}
+
+// YandexGPT foundationModels/v1/completion
+async function callYandexFormat(config, messages, temperature) {
+  const response = await fetch(`${config.baseUrl}/completion`, {
+    method: "POST",
+    headers: await createHeaders(config),
+    body: JSON.stringify({
+      modelUri: config.model,
+      completionOptions: { stream: false, temperature, maxTokens: "8000" },
+      messages: messages.map((m) => ({ role: m.role, text: m.content })),
+    }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `${config.title} API Error ${response.status}: ${
+        errorData.error?.message || errorData.message || "Unknown error"
+      }`
+    );
+  }
+
+  const data = await response.json();
+  return data.result?.alternatives?.[0]?.message?.text || "";
+}
+
+// Sends chat messages to the configured provider and returns the answer text.
+// options.temperature is the caller's default, a configured value wins;
+// options.responseFormat is used only by providers that support JSON schema
+export async function createChatCompletion(config, messages, options = {}) {
+  if (config.requiresKey && !config.apiKey) {
+    throw new Error(`❌ API ключ для ${config.title} не настроен`);
+  }
+
+  const temperature = config.temperature ?? options.temperature ?? 0.4;
+
+  return config.format === "yandex"
+    ? callYandexFormat(config, messages, temperature)
+    : callOpenAiFormat(config, messages, temperature, options);
+}
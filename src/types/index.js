@@ -3,6 +3,11 @@
 
 export {
   MESSAGE_TYPES,
+  CHAPTER_CREATION_MODES,
+  ITMO_TRANSPORTS,
+  BATCH_STATUS,
+  BATCH_JOB_STORAGE_KEY,
+  EVALUATION_HISTORY_STORAGE_KEY,
   RESPONSE_STATUS,
   ERROR_CODES,
   createMessage,
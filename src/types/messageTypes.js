@@ -5,7 +5,10 @@ export const MESSAGE_TYPES = {
   // ITMO API operations
   FETCH_DISCIPLINE_INFO: "fetchDisciplineInfo",
   FETCH_COURSE_STRUCTURE: "fetchCourseStructure",
+  FETCH_CHAPTERS: "fetchChapters",
   FIND_APPROVED_PROGRAMS: "findApprovedPrograms",
+  FIND_SIMILAR_PROGRAMS: "findSimilarPrograms",
+  SELECT_REFERENCE: "selectReference",
   CREATE_CHAPTER: "createChapter",
   GENERATE_STRUCTURE: "generateStructure",
 
@@ -17,12 +20,24 @@ export const MESSAGE_TYPES = {
   // Analytics
   TRACK_EVALUATION: "trackEvaluation",
 
+  // Evaluation history
+  GET_EVALUATION_HISTORY: "getEvaluationHistory",
+  CLEAR_EVALUATION_HISTORY: "clearEvaluationHistory",
+
+  // Batch evaluation
+  START_BATCH_EVALUATION: "startBatchEvaluation",
+  GET_BATCH_STATUS: "getBatchStatus",
+  CANCEL_BATCH_EVALUATION: "cancelBatchEvaluation",
+
   // External API
   EVALUATE_DISCIPLINE: "evaluateDiscipline",
+  EVALUATE_MULTI_REFERENCE: "evaluateMultiReference",
   CALL_OPENAI: "callOpenAI",
 
   // Structure generation
   CREATE_CHAPTERS_FROM_STRUCTURE: "createChaptersFromStructure",
+  ROLLBACK_CHAPTERS: "rollbackChapters",
+  EDIT_STRUCTURE_SECTION: "editStructureSection",
 
   // ITMO API Proxy (through content script)
   ITMO_API_PROXY: "itmoApiProxy",
@@ -33,6 +48,43 @@ export const MESSAGE_TYPES = {
   LEGACY_CREATE_DUMMY: "createDummyChapter",
 };
 
+// How generated chapters are combined with chapters the discipline already has
+export const CHAPTER_CREATION_MODES = {
+  APPEND: "append", // add after existing chapters
+  REPLACE: "replace", // delete existing chapters, then create
+  MERGE: "merge", // extend existing chapters with the same name
+};
+
+// Edits of one section of a generated structure in the preview
+export const SECTION_ACTIONS = {
+  REGENERATE: "regenerate", // new themes for the same section
+  EXPAND: "expand", // theme descriptions and self-study themes
+  SPLIT: "split", // two sections instead of one
+  MERGE: "merge", // the section and the next one as one section
+};
+
+// How the background reaches the ITMO constructor API
+export const ITMO_TRANSPORTS = {
+  AUTO: "auto", // direct, content script proxy when that is not possible
+  DIRECT: "direct", // fetch from the service worker with the cookie token
+  PROXY: "proxy", // through the content script of an open ITMO tab
+};
+
+// Status of a batch evaluation job and of each of its items
+export const BATCH_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  DONE: "done",
+  ERROR: "error",
+  CANCELLED: "cancelled",
+};
+
+// chrome.storage.local key prefix of evaluation history, + ":<disciplineId>"
+export const EVALUATION_HISTORY_STORAGE_KEY = "evaluationHistory";
+
+// chrome.storage.local key of the current batch job, watched by the batch page
+export const BATCH_JOB_STORAGE_KEY = "batchEvaluationJob";
+
 // Response status constants
 export const RESPONSE_STATUS = {
   SUCCESS: "success",
@@ -61,11 +113,18 @@ export function createMessage(type, data = {}) {
 }
 
 // Helper function to create standardized responses
-export function createResponse(success, data = null, error = null) {
+// `code` is one of ERROR_CODES when the caller needs to tell errors apart
+export function createResponse(
+  success,
+  data = null,
+  error = null,
+  code = null
+) {
   return {
     success,
     data,
     error,
+    ...(code && { code }),
     timestamp: Date.now(),
   };
 }
@@ -0,0 +1,129 @@
+// Evaluation annotations - ties evaluation findings to sections and themes
+// /evaluate returns advice as plain strings, so references are recovered
+// from section numbers and names mentioned in the text; repeated themes are
+// detected locally and `extra_topics`, when the API returns it, is matched
+// against theme names
+
+import {
+  nameSimilarity,
+  normalizeName,
+  parseCourseText,
+} from "./structureDiff.js";
+
+// Same threshold as renames in the structure diff
+const SIMILAR_THEME_THRESHOLD = 0.6;
+
+export const ANNOTATION_KINDS = {
+  REDUNDANT: "redundant",
+  OFF_TOPIC: "off-topic",
+  ADVICE: "advice",
+};
+
+// Names shorter than this are too generic to be searched for in advice
+const MIN_NAME_LENGTH = 8;
+
+function flattenThemes(sections) {
+  return sections.flatMap((section, sectionIndex) =>
+    section.themes.map((name, themeIndex) => ({
+      name,
+      sectionIndex,
+      themeIndex,
+    }))
+  );
+}
+
+// "раздел 3", "разделе №2", "разделы 1 и 4" → section indexes
+function findSectionNumbers(text, sectionCount) {
+  const indexes = new Set();
+  const pattern = /раздел[а-яё]*\s*(?:№\s*)?((?:\d+(?:\s*(?:,|и|-|–)\s*)?)+)/gi;
+  for (const match of text.matchAll(pattern)) {
+    (match[1].match(/\d+/g) || []).forEach((number) => {
+      const index = parseInt(number, 10) - 1;
+      if (index >= 0 && index < sectionCount) indexes.add(index);
+    });
+  }
+  return [...indexes];
+}
+
+function mentions(text, name) {
+  const normalized = normalizeName(name);
+  return (
+    normalized.length >= MIN_NAME_LENGTH &&
+    normalizeName(text).includes(normalized)
+  );
+}
+
+// [{ section, theme, name, kind, text }], theme = null for a section
+export function buildAnnotations(courseText, result = {}) {
+  const sections = parseCourseText(courseText);
+  const themes = flattenThemes(sections);
+  const annotations = [];
+
+  const add = (target, kind, text) =>
+    annotations.push({
+      section: target.sectionIndex,
+      theme: target.themeIndex ?? null,
+      name: target.name,
+      kind,
+      text,
+    });
+
+  // Repeated or near-identical themes
+  themes.forEach((theme, i) => {
+    themes.forEach((other, j) => {
+      if (i === j) return;
+      if (nameSimilarity(theme.name, other.name) < SIMILAR_THEME_THRESHOLD) {
+        return;
+      }
+      const where =
+        other.sectionIndex === theme.sectionIndex
+          ? "в этом же разделе"
+          : `с разделом ${other.sectionIndex + 1}`;
+      add(
+        theme,
+        ANNOTATION_KINDS.REDUNDANT,
+        `Повтор ${where}: «${other.name}»`
+      );
+    });
+  });
+
+  // Topics the API reports as outside the reference
+  (Array.isArray(result.extra_topics) ? result.extra_topics : []).forEach(
+    (topic) => {
+      const match = themes.find(
+        (theme) =>
+          nameSimilarity(theme.name, String(topic)) >= SIMILAR_THEME_THRESHOLD
+      );
+      if (match) {
+        add(match, ANNOTATION_KINDS.OFF_TOPIC, "Тема вне эталонной программы");
+      }
+    }
+  );
+
+  // Advice mentioning sections by number or sections/themes by name
+  (result.advice || []).forEach((advice) => {
+    const text = String(advice);
+    const targets = new Map();
+
+    findSectionNumbers(text, sections.length).forEach((index) =>
+      targets.set(`s${index}`, {
+        sectionIndex: index,
+        name: sections[index].name,
+      })
+    );
+    sections.forEach((section, index) => {
+      if (mentions(text, section.name)) {
+        targets.set(`s${index}`, { sectionIndex: index, name: section.name });
+      }
+    });
+    themes.forEach((theme) => {
+      if (mentions(text, theme.name)) {
+        targets.set(`t${theme.sectionIndex}.${theme.themeIndex}`, theme);
+      }
+    });
+
+    targets.forEach((target) => add(target, ANNOTATION_KINDS.ADVICE, text));
+  });
+
+  return annotations;
+}
@@ -1,3 +1,13 @@
 // Utils barrel exports
 export * from "./tokenUtils.js";
 export * from "./settingsManager.js";
+export * from "./structureSchema.js";
+export * from "./metrics.js";
+export * from "./structureDiff.js";
+export * from "./reportExport.js";
+export * from "./tableExport.js";
+export * from "./annotations.js";
+export * from "./programSearch.js";
+export * from "./promptStrategies.js";
+export * from "./workloadSolver.js";
+export * from "./workTypeMapping.js";
@@ -0,0 +1,214 @@
+// Evaluation metric helpers shared by the popup views
+// Thresholds come from the options page (preset + per-metric overrides)
+
+import { SettingsManager } from "./settingsManager.js";
+
+// Metrics shown with and without a reference discipline
+export const REFERENCE_METRICS = [
+  "final_score",
+  "structural_score",
+  "semantic_coherence",
+  "topic_flow",
+  "structural_balance",
+  "sequence_coverage",
+  "graph_coverage",
+  "redundancy",
+  "relevance",
+  "extra_topics_penalty",
+  "coverage_score",
+  "relevance_score",
+];
+
+export const STANDALONE_METRICS = [
+  "final_score",
+  "structural_score",
+  "semantic_coherence",
+  "structural_balance",
+  "redundancy",
+];
+
+// Boundaries of one metric:
+// higher is better: value >= good → good, >= warning → warning, else bad;
+// lowerIsBetter:    value <= good → good, <= warning → warning, else bad
+function threshold(warning, lowerIsBetter = false) {
+  return {
+    warning,
+    good: lowerIsBetter ? warning / 2 : Math.round((warning + 0.1) * 100) / 100,
+    lowerIsBetter,
+  };
+}
+
+function buildThresholds(overrides) {
+  return Object.fromEntries(
+    REFERENCE_METRICS.map((key) => [key, overrides[key] || threshold(0.5)])
+  );
+}
+
+export const DEFAULT_THRESHOLD_PRESET = "default";
+
+// Named threshold sets selectable in the options page
+export const METRIC_THRESHOLD_PRESETS = {
+  default: {
+    title: "По умолчанию",
+    thresholds: buildThresholds({
+      semantic_coherence: threshold(0.5),
+      structural_balance: threshold(0.4),
+      topic_flow: threshold(0.3),
+      sequence_coverage: threshold(0.6),
+      graph_coverage: threshold(0.6),
+      redundancy: threshold(0.4, true),
+      relevance: threshold(0.5),
+      extra_topics_penalty: threshold(0.4, true),
+      final_score: threshold(0.6),
+    }),
+  },
+  bachelor: {
+    title: "Бакалавриат",
+    thresholds: buildThresholds({
+      semantic_coherence: threshold(0.45),
+      structural_balance: threshold(0.35),
+      topic_flow: threshold(0.3),
+      sequence_coverage: threshold(0.55),
+      graph_coverage: threshold(0.55),
+      redundancy: threshold(0.45, true),
+      relevance: threshold(0.45),
+      extra_topics_penalty: threshold(0.45, true),
+      final_score: threshold(0.55),
+    }),
+  },
+  master: {
+    title: "Магистратура",
+    thresholds: buildThresholds({
+      semantic_coherence: threshold(0.55),
+      structural_balance: threshold(0.45),
+      topic_flow: threshold(0.35),
+      sequence_coverage: threshold(0.65),
+      graph_coverage: threshold(0.65),
+      redundancy: threshold(0.35, true),
+      relevance: threshold(0.55),
+      extra_topics_penalty: threshold(0.35, true),
+      final_score: threshold(0.65),
+      structural_score: threshold(0.55),
+      coverage_score: threshold(0.55),
+      relevance_score: threshold(0.55),
+    }),
+  },
+};
+
+// "good" must be on the better side of "warning"
+function isValidThreshold(value) {
+  return (
+    value &&
+    typeof value === "object" &&
+    Number.isFinite(value.warning) &&
+    Number.isFinite(value.good) &&
+    typeof value.lowerIsBetter === "boolean" &&
+    (value.lowerIsBetter
+      ? value.good <= value.warning
+      : value.good >= value.warning)
+  );
+}
+
+// Preset thresholds with valid per-metric overrides from settings on top
+export function resolveMetricThresholds(settings = {}) {
+  const preset =
+    METRIC_THRESHOLD_PRESETS[settings.metricThresholdPreset] ||
+    METRIC_THRESHOLD_PRESETS[DEFAULT_THRESHOLD_PRESET];
+  const overrides = Object.entries(settings.metricThresholds || {}).filter(
+    ([key, value]) => key in preset.thresholds && isValidThreshold(value)
+  );
+  return { ...preset.thresholds, ...Object.fromEntries(overrides) };
+}
+
+// Errors of an imported { preset, thresholds } JSON, empty when valid
+export function validateThresholdConfig(config) {
+  if (!config || typeof config !== "object") {
+    return ["Ожидается объект { preset, thresholds }"];
+  }
+  const errors = [];
+  if (config.preset && !METRIC_THRESHOLD_PRESETS[config.preset]) {
+    errors.push(`preset: неизвестный пресет "${config.preset}"`);
+  }
+  Object.entries(config.thresholds || {}).forEach(([key, value]) => {
+    if (!REFERENCE_METRICS.includes(key)) {
+      errors.push(`${key}: неизвестная метрика`);
+    } else if (!isValidThreshold(value)) {
+      errors.push(
+        `${key}: ожидается { warning, good, lowerIsBetter }, ` +
+          "где good не хуже warning"
+      );
+    }
+  });
+  return errors;
+}
+
+// Thresholds used by getMetricClass unless passed explicitly;
+// pages call loadMetricThresholds() once on start
+let activeThresholds =
+  METRIC_THRESHOLD_PRESETS[DEFAULT_THRESHOLD_PRESET].thresholds;
+
+export async function loadMetricThresholds() {
+  activeThresholds = resolveMetricThresholds(
+    await SettingsManager.getSettings()
+  );
+  return activeThresholds;
+}
+
+export function getMetricThreshold(key, thresholds = activeThresholds) {
+  return thresholds[key] || threshold(0.5);
+}
+
+export function isLowerBetter(key, thresholds = activeThresholds) {
+  return getMetricThreshold(key, thresholds).lowerIsBetter;
+}
+
+export function getMetricClass(key, value, thresholds = activeThresholds) {
+  const { warning, good, lowerIsBetter } = getMetricThreshold(key, thresholds);
+
+  if (lowerIsBetter) {
+    if (value <= good) return "metric-good";
+    if (value <= warning) return "metric-warning";
+    return "metric-bad";
+  } else {
+    if (value >= good) return "metric-good";
+    if (value >= warning) return "metric-warning";
+    return "metric-bad";
+  }
+}
+
+// "▲ 0.050" / "▼ 0.020" coloured by whether the change is an improvement
+export function formatMetricDelta(key, delta) {
+  if (delta == null || Math.abs(delta) < 0.0005) {
+    return { text: "—", cssClass: "" };
+  }
+  const improved = isLowerBetter(key) ? delta < 0 : delta > 0;
+  return {
+    text: `${delta > 0 ? "▲" : "▼"} ${Math.abs(delta).toFixed(3)}`,
+    cssClass: improved ? "delta-good" : "delta-bad",
+  };
+}
+
+// One result from several evaluations of the same course (one per
+// reference): the mean of every metric, advice and extra topics merged
+export function aggregateEvaluationResults(results) {
+  const aggregate = {};
+  REFERENCE_METRICS.forEach((key) => {
+    const values = results
+      .map((result) => result[key])
+      .filter((value) => typeof value === "number");
+    if (values.length > 0) {
+      aggregate[key] =
+        values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+  });
+
+  aggregate.advice = [
+    ...new Set(results.flatMap((result) => result.advice || [])),
+  ];
+  const extraTopics = results.flatMap((result) =>
+    Array.isArray(result.extra_topics) ? result.extra_topics : []
+  );
+  if (extraTopics.length > 0)
+    aggregate.extra_topics = [...new Set(extraTopics)];
+  return aggregate;
+}
@@ -0,0 +1,185 @@
+// Similar program search - /programs/list query and candidate ranking
+// Titles and chapter structures are compared by word stems, which is close
+// enough for Russian word forms ("машинное обучение" / "машинного обучения")
+
+import { normalizeName, parseCourseText } from "./structureDiff.js";
+
+// Filter value meaning "the education level of the current discipline"
+export const SAME_LEVEL = "same";
+
+// Matches the query the search used before filters were configurable
+export const SIMILAR_SEARCH_DEFAULTS = {
+  educationLevelId: SAME_LEVEL,
+  statusId: "6",
+  programTypeId: "1",
+  year: "",
+  limit: 15,
+};
+
+// Final score = title and structure similarity mixed with these weights;
+// candidates whose chapters could not be loaded are ranked by title only
+const TITLE_WEIGHT = 0.4;
+const STRUCTURE_WEIGHT = 0.6;
+
+// Russian endings are mostly within the last 2-3 letters
+const STEM_LENGTH = 6;
+
+function stems(text) {
+  return new Set(
+    normalizeName(text)
+      .split(" ")
+      .filter((word) => word.length > 2)
+      .map((word) => word.slice(0, STEM_LENGTH))
+  );
+}
+
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const common = [...a].filter((stem) => b.has(stem)).length;
+  return (2 * common) / (a.size + b.size);
+}
+
+export function titleSimilarity(a, b) {
+  return dice(stems(a), stems(b));
+}
+
+// Overlap of the stems used in section and theme names
+export function structureSimilarity(courseTextA, courseTextB) {
+  const allStems = (text) =>
+    stems(
+      parseCourseText(text)
+        .flatMap((section) => [section.name, ...section.themes])
+        .join(" ")
+    );
+  return dice(allStems(courseTextA), allStems(courseTextB));
+}
+
+// Query string for /api/constructor/programs/list; empty filters are omitted
+export function buildProgramSearchParams(query, filters = {}, levelId = null) {
+  const options = { ...SIMILAR_SEARCH_DEFAULTS, ...filters };
+  const educationLevelId =
+    options.educationLevelId === SAME_LEVEL
+      ? levelId
+      : options.educationLevelId;
+
+  const params = new URLSearchParams({
+    limit: options.limit,
+    offset: 0,
+    my_disciplines: 0,
+  });
+  if (options.programTypeId) {
+    params.set("program_type_id", options.programTypeId);
+  }
+  if (options.statusId) params.set("status_id", options.statusId);
+  if (educationLevelId) params.set("education_level_id", educationLevelId);
+  params.set("query", query);
+  return params.toString();
+}
+
+// The list API has no year parameter; the year is taken from whichever
+// field the program carries
+export function getProgramYear(program) {
+  const year =
+    program.year ?? program.academic_year ?? program.start_year ?? null;
+  if (year) return parseInt(year, 10) || null;
+
+  const date = program.created_at || program.updated_at || "";
+  const match = String(date).match(/\b(19|20)\d{2}\b/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+export function matchesYear(program, year) {
+  return !year || getProgramYear(program) === parseInt(year, 10);
+}
+
+// candidates: [{ program, courseText | null }] → ranked, best first
+export function rankPrograms(title, courseText, candidates) {
+  return candidates
+    .map(({ program, courseText: candidateText }) => {
+      const titleScore = titleSimilarity(title, program.name);
+      const structureScore =
+        courseText && candidateText
+          ? structureSimilarity(courseText, candidateText)
+          : null;
+      const score =
+        structureScore === null
+          ? titleScore
+          : TITLE_WEIGHT * titleScore + STRUCTURE_WEIGHT * structureScore;
+
+      return {
+        id: program.id,
+        name: program.name,
+        year: getProgramYear(program),
+        score,
+        titleScore,
+        structureScore,
+        courseText: candidateText || null,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Automatic reference: the best ranked candidate with chapters, or the
+// union of the top ones; below the minimum score no reference is used
+export const AUTO_REFERENCE_MODES = {
+  BEST: "best",
+  COMBINED: "combined",
+};
+export const AUTO_REFERENCE_MIN_SCORE = 0.3;
+export const AUTO_REFERENCE_COMBINED_COUNT = 3;
+
+// Similar program structures the user may add to the generation prompt
+export const MAX_GENERATION_EXAMPLES = 3;
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// Union of sections (by name) and their themes, renumbered
+export function combineCourseTexts(texts) {
+  const sections = new Map();
+  texts.forEach((text) =>
+    parseCourseText(text).forEach((section) => {
+      const key = normalizeName(section.name);
+      if (!sections.has(key)) {
+        sections.set(key, { name: section.name, themes: [] });
+      }
+      const target = sections.get(key);
+      section.themes.forEach((theme) => {
+        const known = target.themes.some(
+          (existing) => normalizeName(existing) === normalizeName(theme)
+        );
+        if (!known) target.themes.push(theme);
+      });
+    })
+  );
+
+  return [...sections.values()]
+    .map(
+      (section, index) =>
+        `${index + 1}. ${section.name}\n` +
+        section.themes.map((theme) => ` - ${theme}`).join("\n")
+    )
+    .join("\n\n");
+}
+
+// Human-readable reason for the chosen reference
+export function describeReferenceChoice(chosen, candidateCount) {
+  if (chosen.length === 0) {
+    return `Среди ${candidateCount} найденных программ нет достаточно похожей (порог ${percent(
+      AUTO_REFERENCE_MIN_SCORE
+    )}), оценка без эталона`;
+  }
+  if (chosen.length === 1) {
+    const [program] = chosen;
+    return (
+      `«${program.name}» (ID ${program.id}): сходство ${percent(
+        program.score
+      )} — название ${percent(program.titleScore)}, разделы и темы ` +
+      `${percent(
+        program.structureScore
+      )}; лучшая из ${candidateCount} найденных`
+    );
+  }
+  return `Объединены ${chosen.length} лучших из ${candidateCount}: ${chosen
+    .map((program) => `«${program.name}» (${percent(program.score)})`)
+    .join(", ")}`;
+}
@@ -0,0 +1,313 @@
+// Prompting strategies for structure generation
+// Each strategy adds its instruction to the generation prompt; few-shot
+// takes the closest structures from a small curated library of examples
+
+import { titleSimilarity } from "./programSearch.js";
+
+// Keys match the approaches of services/generateCourseStructure.js.
+// The answer must stay a bare JSON object, so reasoning strategies ask
+// the model to think before answering instead of writing the reasoning out
+export const PROMPT_STRATEGIES = {
+  "zero-shot": {
+    title: "Zero-shot — только ограничения",
+    instruction: "",
+  },
+  "few-shot": {
+    title: "Few-shot — с примерами удачных структур",
+    instruction: "",
+  },
+  "chain-of-thought": {
+    title: "Chain-of-thought — пошаговое рассуждение",
+    instruction:
+      "Прежде чем отвечать, рассуждай по шагам: какие знания и навыки есть у студентов до начала курса, к каким результатам обучения должен привести курс, какие разделы ведут от первого ко второму и почему каждая тема стоит на своём месте. Рассуждение в ответ не включай.",
+  },
+  "tree-of-thought": {
+    title: "Tree-of-thought — несколько вариантов и выбор лучшего",
+    instruction:
+      "Прежде чем отвечать, представь, что три эксперта независимо предлагают структуру курса. Сравни варианты по логике изложения, полноте и соответствию уровню студентов, отбрось слабые решения и объедини лучшее в итоговую структуру. В ответ включи только итоговую структуру.",
+  },
+};
+
+export const DEFAULT_PROMPT_STRATEGY = "zero-shot";
+
+// Number of library examples added to a few-shot prompt
+export const FEW_SHOT_EXAMPLE_COUNT = 2;
+
+// Curated examples in the answer format of COURSE_STRUCTURE_SCHEMA
+export const FEW_SHOT_LIBRARY = [
+  {
+    title: "Программирование на Python",
+    structure: {
+      sections: [
+        {
+          name: "Основы языка",
+          themes: [
+            {
+              name: "Типы данных и выражения",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Управляющие конструкции",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Разработка консольной программы",
+              work_type: "лабораторная",
+              description: "Ввод-вывод, ветвления и циклы",
+            },
+          ],
+        },
+        {
+          name: "Структуры данных и функции",
+          themes: [
+            {
+              name: "Списки, словари и множества",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Функции и модули",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Обработка табличных данных",
+              work_type: "лабораторная",
+              description: null,
+            },
+          ],
+        },
+        {
+          name: "Объектно-ориентированное программирование",
+          themes: [
+            {
+              name: "Классы и наследование",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Проектирование модели предметной области",
+              work_type: "лабораторная",
+              description: null,
+            },
+          ],
+        },
+      ],
+    },
+  },
+  {
+    title: "Машинное обучение",
+    structure: {
+      sections: [
+        {
+          name: "Введение в машинное обучение",
+          themes: [
+            {
+              name: "Постановки задач и виды обучения",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Подготовка и разведочный анализ данных",
+              work_type: "лабораторная",
+              description: null,
+            },
+          ],
+        },
+        {
+          name: "Обучение с учителем",
+          themes: [
+            {
+              name: "Линейные модели",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Деревья решений и ансамбли",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Построение и сравнение моделей классификации",
+              work_type: "лабораторная",
+              description: "Кросс-валидация и подбор гиперпараметров",
+            },
+          ],
+        },
+        {
+          name: "Обучение без учителя",
+          themes: [
+            {
+              name: "Кластеризация",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Снижение размерности",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Сегментация клиентской базы",
+              work_type: "лабораторная",
+              description: null,
+            },
+          ],
+        },
+      ],
+    },
+  },
+  {
+    title: "Базы данных",
+    structure: {
+      sections: [
+        {
+          name: "Реляционная модель данных",
+          themes: [
+            {
+              name: "Отношения, ключи и ограничения целостности",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Нормализация",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Проектирование схемы базы данных",
+              work_type: "практика",
+              description: null,
+            },
+          ],
+        },
+        {
+          name: "Язык SQL",
+          themes: [
+            {
+              name: "Выборка, соединения и агрегация",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Запросы к учебной базе данных",
+              work_type: "лабораторная",
+              description: null,
+            },
+          ],
+        },
+        {
+          name: "Транзакции и производительность",
+          themes: [
+            {
+              name: "Транзакции и уровни изоляции",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Индексы и планы выполнения запросов",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Оптимизация медленных запросов",
+              work_type: "лабораторная",
+              description: null,
+            },
+          ],
+        },
+      ],
+    },
+  },
+  {
+    title: "Экономика",
+    structure: {
+      sections: [
+        {
+          name: "Микроэкономика",
+          themes: [
+            {
+              name: "Спрос, предложение и рыночное равновесие",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Поведение фирмы и рыночные структуры",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Анализ рынка отрасли",
+              work_type: "практика",
+              description: null,
+            },
+          ],
+        },
+        {
+          name: "Макроэкономика",
+          themes: [
+            {
+              name: "Национальные счета и экономический рост",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Денежно-кредитная и фискальная политика",
+              work_type: "лекция",
+              description: null,
+            },
+            {
+              name: "Разбор макроэкономических показателей страны",
+              work_type: "практика",
+              description: null,
+            },
+          ],
+        },
+      ],
+    },
+  },
+];
+
+export function resolvePromptStrategy(value) {
+  return PROMPT_STRATEGIES[value] ? value : DEFAULT_PROMPT_STRATEGY;
+}
+
+// Library examples closest to the discipline title; ties keep library order
+export function selectFewShotExamples(title, count = FEW_SHOT_EXAMPLE_COUNT) {
+  return FEW_SHOT_LIBRARY.map((example, index) => ({
+    example,
+    index,
+    score: titleSimilarity(title, example.title),
+  }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, count)
+    .map(({ example }) => example);
+}
+
+// Prompt block for the strategy and the library examples it used
+export function buildStrategyPrompt(strategy, title) {
+  const key = resolvePromptStrategy(strategy);
+  const { instruction } = PROMPT_STRATEGIES[key];
+
+  if (key !== "few-shot") {
+    return { strategy: key, text: instruction, examples: [] };
+  }
+
+  const examples = selectFewShotExamples(title);
+  const text =
+    "Ниже примеры удачных структур других дисциплин. Они показывают формат ответа, последовательность и глубину тем; количество тем каждого типа бери только из ограничений выше.\n\n" +
+    examples
+      .map(
+        (example) =>
+          `Пример — «${example.title}»:\n${JSON.stringify(example.structure)}`
+      )
+      .join("\n\n");
+
+  return {
+    strategy: key,
+    text,
+    examples: examples.map((example) => example.title),
+  };
+}
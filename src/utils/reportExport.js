@@ -0,0 +1,213 @@
+// Evaluation report export
+// Builds a standalone HTML or Markdown document from an evaluation result
+
+import { EDUCATION_LEVELS } from "../constants/config.js";
+import {
+  getMetricClass,
+  getMetricThreshold,
+  REFERENCE_METRICS,
+} from "./metrics.js";
+
+// chrome.storage.session key read by src/report/report.html
+export const PENDING_REPORT_KEY = "pendingReport";
+
+export const REPORT_FORMATS = {
+  HTML: "html",
+  MARKDOWN: "markdown",
+  PDF: "pdf",
+};
+
+const STATUS_LABELS = {
+  "metric-good": { mark: "🟢", title: "хорошо" },
+  "metric-warning": { mark: "🟡", title: "на границе" },
+  "metric-bad": { mark: "🔴", title: "ниже порога" },
+};
+
+// Inlined so the exported HTML file needs nothing else
+export const REPORT_CSS = `
+body { font-family: system-ui, -apple-system, sans-serif; color: #222; max-width: 800px; margin: 24px auto; padding: 0 16px; line-height: 1.4; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+h2 { font-size: 17px; margin-top: 24px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+.meta { color: #6B7280; font-size: 13px; }
+table { border-collapse: collapse; width: 100%; font-size: 14px; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+td.value { text-align: center; font-weight: bold; }
+.metric-good { background-color: #d4edda; color: #155724; }
+.metric-warning { background-color: #fff3cd; color: #856404; }
+.metric-bad { background-color: #f8d7da; color: #721c24; }
+pre { background: #F3F4F6; padding: 12px; border-radius: 6px; white-space: pre-wrap; font-size: 13px; }
+@media print { body { margin: 0; } pre { background: none; border: 1px solid #ddd; } }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeMarkdownCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|");
+}
+
+// info: /info response; reference: { id, name } or null
+export function buildEvaluationReport({
+  disciplineId,
+  info,
+  courseText,
+  result,
+  reference = null,
+}) {
+  const content = info?.result?.contents?.[0];
+  const metrics = REFERENCE_METRICS.filter(
+    (key) => typeof result?.[key] === "number"
+  ).map((key) => ({
+    key,
+    value: result[key],
+    ...getMetricThreshold(key),
+    cssClass: getMetricClass(key, result[key]),
+  }));
+
+  return {
+    disciplineId,
+    name: info?.result?.name || `Дисциплина ${disciplineId}`,
+    level: EDUCATION_LEVELS[info?.result?.education_levels?.[0]?.id] || "—",
+    workTypes: (content?.work_types || [])
+      .filter((wt) => wt.hours > 0)
+      .map((wt) => ({ name: wt.name, hours: wt.hours })),
+    courseText: courseText || "",
+    metrics,
+    advice: result?.advice || [],
+    reference,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// "≥ 0.6 (хорошо ≥ 0.7)"
+function formatThreshold(metric) {
+  const sign = metric.lowerIsBetter ? "≤" : "≥";
+  return `${sign} ${metric.warning} (хорошо ${sign} ${metric.good})`;
+}
+
+function formatReference(reference) {
+  if (!reference) return "не использовался";
+  return reference.name
+    ? `${reference.name} (ID ${reference.id})`
+    : `ID ${reference.id}`;
+}
+
+export function renderReportMarkdown(report) {
+  const lines = [
+    `# Отчёт об оценке: ${report.name}`,
+    "",
+    `- ID дисциплины: ${report.disciplineId}`,
+    `- Уровень: ${report.level}`,
+    `- Эталон: ${formatReference(report.reference)}`,
+    `- Дата: ${new Date(report.createdAt).toLocaleString("ru-RU")}`,
+    "",
+    "## Трудоёмкость",
+    "",
+    "| Вид работы | Часы |",
+    "| --- | ---: |",
+    ...report.workTypes.map(
+      (wt) => `| ${escapeMarkdownCell(wt.name)} | ${wt.hours} |`
+    ),
+    "",
+    "## Метрики",
+    "",
+    "| Метрика | Значение | Порог | Оценка |",
+    "| --- | ---: | ---: | --- |",
+    ...report.metrics.map((metric) => {
+      const status = STATUS_LABELS[metric.cssClass];
+      return `| ${metric.key} | ${metric.value.toFixed(3)} | ${formatThreshold(
+        metric
+      )} | ${status.mark} ${status.title} |`;
+    }),
+    "",
+    "## Советы",
+    "",
+    ...(report.advice.length
+      ? report.advice.map((advice) => `- ${advice}`)
+      : ["—"]),
+    "",
+    "## Структура дисциплины",
+    "",
+    "```",
+    report.courseText,
+    "```",
+    "",
+  ];
+  return lines.join("\n");
+}
+
+// Report markup without <html>/<head>, shared by the export and print page
+export function renderReportBody(report) {
+  const workTypeRows = report.workTypes
+    .map(
+      (wt) =>
+        `<tr><td>${escapeHtml(wt.name)}</td><td class="value">${
+          wt.hours
+        }</td></tr>`
+    )
+    .join("");
+
+  const metricRows = report.metrics
+    .map(
+      (metric) =>
+        `<tr><td>${escapeHtml(metric.key)}</td>` +
+        `<td class="value ${metric.cssClass}">${metric.value.toFixed(3)}</td>` +
+        `<td>${escapeHtml(formatThreshold(metric))}</td>` +
+        `<td>${STATUS_LABELS[metric.cssClass].title}</td></tr>`
+    )
+    .join("");
+
+  const advice = report.advice.length
+    ? `<ul>${report.advice
+        .map((item) => `<li>${escapeHtml(item)}</li>`)
+        .join("")}</ul>`
+    : "<p>—</p>";
+
+  return `
+<h1>Отчёт об оценке: ${escapeHtml(report.name)}</h1>
+<p class="meta">ID дисциплины: ${escapeHtml(report.disciplineId)} ·
+Уровень: ${escapeHtml(report.level)} ·
+Эталон: ${escapeHtml(formatReference(report.reference))} ·
+${new Date(report.createdAt).toLocaleString("ru-RU")}</p>
+
+<h2>Трудоёмкость</h2>
+<table><tr><th>Вид работы</th><th>Часы</th></tr>${workTypeRows}</table>
+
+<h2>Метрики</h2>
+<table><tr><th>Метрика</th><th>Значение</th><th>Порог</th><th>Оценка</th></tr>${metricRows}</table>
+
+<h2>Советы</h2>
+${advice}
+
+<h2>Структура дисциплины</h2>
+<pre>${escapeHtml(report.courseText)}</pre>
+`;
+}
+
+export function renderReportHtml(report) {
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="UTF-8">
+<title>Отчёт: ${escapeHtml(report.name)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>${renderReportBody(report)}</body>
+</html>
+`;
+}
+
+// File name without extension, safe for downloads
+export function getReportFileName(report) {
+  const date = report.createdAt.slice(0, 10);
+  const name = report.name
+    .replace(/[\\/:*?"<>|]+/g, "")
+    .replace(/\s+/g, "_")
+    .slice(0, 60);
+  return `report_${report.disciplineId}_${name}_${date}`;
+}
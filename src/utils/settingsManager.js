@@ -6,6 +6,21 @@ export class SettingsManager {
     developerMode: false,
     itmoToken: "",
     analyticsEnabled: true,
+    // LLM provider (empty values fall back to the provider preset)
+    llmProvider: "openai",
+    llmBaseUrl: "",
+    llmModel: "",
+    llmTemperature: "",
+    llmAuthHeader: "",
+    // Metric thresholds: preset name + per-metric overrides
+    metricThresholdPreset: "default",
+    metricThresholds: {},
+    // Hours per contact theme used by the workload solver
+    themeHourGranularity: 2,
+    // What СРО hours per chapter are proportional to (SELF_STUDY_MODES)
+    selfStudyDistribution: "contact",
+    // Theme label synonyms → program_work_type_id: [{ synonyms, workTypeId }]
+    workTypeMapping: [],
   };
 
   // Get all settings
@@ -0,0 +1,241 @@
+// Structure diff between two course text snapshots
+// Works on the "1. Раздел\n - Тема" text produced by fetchCourseStructure
+
+import { REFERENCE_METRICS } from "./metrics.js";
+
+// Word overlap above which an unmatched pair is treated as a rename
+const RENAME_SIMILARITY = 0.6;
+
+export const DIFF_STATUS = {
+  UNCHANGED: "unchanged",
+  ADDED: "added",
+  REMOVED: "removed",
+  RENAMED: "renamed",
+  MOVED: "moved",
+};
+
+export function normalizeName(name) {
+  return (name || "")
+    .toLowerCase()
+    .replace(/ё/g, "е")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Dice coefficient over words, prepositions and conjunctions ignored
+export function nameSimilarity(a, b) {
+  const words = (name) =>
+    new Set(
+      normalizeName(name)
+        .split(" ")
+        .filter((word) => word.length > 2)
+    );
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const common = [...wordsA].filter((word) => wordsB.has(word)).length;
+  return (2 * common) / (wordsA.size + wordsB.size);
+}
+
+// Course text → [{ name, themes: [name] }]
+export function parseCourseText(text) {
+  const sections = [];
+  (text || "").split("\n").forEach((line) => {
+    const sectionMatch = line.match(/^\s*\d+\.\s+(.+)$/);
+    const themeMatch = line.match(/^\s*-\s+(.+)$/);
+    if (sectionMatch) {
+      sections.push({ name: sectionMatch[1].trim(), themes: [] });
+    } else if (themeMatch && sections.length > 0) {
+      sections[sections.length - 1].themes.push(themeMatch[1].trim());
+    }
+  });
+  return sections;
+}
+
+// Pairs old and new names: exact (normalized) matches first, then the most
+// similar remaining names. Returns Map(newIndex → { oldIndex, renamed })
+function matchNames(oldNames, newNames, canPair = () => true) {
+  const pairs = new Map();
+  const usedOld = new Set();
+
+  newNames.forEach((name, j) => {
+    const i = oldNames.findIndex(
+      (oldName, index) =>
+        !usedOld.has(index) && normalizeName(oldName) === normalizeName(name)
+    );
+    if (i !== -1) {
+      pairs.set(j, { oldIndex: i, renamed: false });
+      usedOld.add(i);
+    }
+  });
+
+  const candidates = [];
+  newNames.forEach((name, j) => {
+    if (pairs.has(j)) return;
+    oldNames.forEach((oldName, i) => {
+      if (usedOld.has(i) || !canPair(i, j)) return;
+      const score = nameSimilarity(oldName, name);
+      if (score >= RENAME_SIMILARITY) candidates.push({ i, j, score });
+    });
+  });
+
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ i, j }) => {
+      if (pairs.has(j) || usedOld.has(i)) return;
+      pairs.set(j, { oldIndex: i, renamed: true });
+      usedOld.add(i);
+    });
+
+  return pairs;
+}
+
+function flattenThemes(sections) {
+  return sections.flatMap((section, sectionIndex) =>
+    section.themes.map((name) => ({ name, sectionIndex }))
+  );
+}
+
+// Aligned rows for a side-by-side view plus change counts.
+// Row: { kind: "section"|"theme", status, before, after, fromSection? }
+export function diffCourseStructures(beforeText, afterText) {
+  const before = parseCourseText(beforeText);
+  const after = parseCourseText(afterText);
+
+  const sectionPairs = matchNames(
+    before.map((s) => s.name),
+    after.map((s) => s.name)
+  );
+  const oldToNewSection = new Map(
+    [...sectionPairs].map(([j, pair]) => [pair.oldIndex, j])
+  );
+
+  // Themes are matched across the whole course so moves can be detected;
+  // renames are only considered inside the same (paired) section
+  const oldThemes = flattenThemes(before);
+  const newThemes = flattenThemes(after);
+  const themePairs = matchNames(
+    oldThemes.map((t) => t.name),
+    newThemes.map((t) => t.name),
+    (i, j) =>
+      oldToNewSection.get(oldThemes[i].sectionIndex) ===
+      newThemes[j].sectionIndex
+  );
+  const matchedOldThemes = new Set(
+    [...themePairs.values()].map((pair) => pair.oldIndex)
+  );
+
+  const rows = [];
+  const summary = {
+    sectionsAdded: 0,
+    sectionsRemoved: 0,
+    sectionsRenamed: 0,
+    themesAdded: 0,
+    themesRemoved: 0,
+    themesRenamed: 0,
+    themesMoved: 0,
+  };
+
+  const pushRemovedThemes = (sectionIndex) => {
+    oldThemes.forEach((theme, i) => {
+      if (theme.sectionIndex !== sectionIndex || matchedOldThemes.has(i)) {
+        return;
+      }
+      rows.push({
+        kind: "theme",
+        status: DIFF_STATUS.REMOVED,
+        before: theme.name,
+        after: null,
+      });
+      summary.themesRemoved++;
+    });
+  };
+
+  let newThemeIndex = 0;
+  after.forEach((section, j) => {
+    const sectionPair = sectionPairs.get(j);
+    const oldSection = sectionPair ? before[sectionPair.oldIndex] : null;
+    let sectionStatus = DIFF_STATUS.ADDED;
+    if (sectionPair) {
+      sectionStatus = sectionPair.renamed
+        ? DIFF_STATUS.RENAMED
+        : DIFF_STATUS.UNCHANGED;
+    }
+    if (sectionStatus === DIFF_STATUS.ADDED) summary.sectionsAdded++;
+    if (sectionStatus === DIFF_STATUS.RENAMED) summary.sectionsRenamed++;
+
+    rows.push({
+      kind: "section",
+      status: sectionStatus,
+      before: oldSection?.name || null,
+      after: section.name,
+    });
+
+    section.themes.forEach((name) => {
+      const pair = themePairs.get(newThemeIndex++);
+      if (!pair) {
+        rows.push({
+          kind: "theme",
+          status: DIFF_STATUS.ADDED,
+          before: null,
+          after: name,
+        });
+        summary.themesAdded++;
+        return;
+      }
+
+      const oldTheme = oldThemes[pair.oldIndex];
+      const moved = oldToNewSection.get(oldTheme.sectionIndex) !== j;
+      let status = DIFF_STATUS.UNCHANGED;
+      if (moved) {
+        status = DIFF_STATUS.MOVED;
+        summary.themesMoved++;
+      } else if (pair.renamed) {
+        status = DIFF_STATUS.RENAMED;
+        summary.themesRenamed++;
+      }
+
+      rows.push({
+        kind: "theme",
+        status,
+        before: oldTheme.name,
+        after: name,
+        fromSection: moved ? before[oldTheme.sectionIndex].name : undefined,
+      });
+    });
+
+    if (sectionPair) pushRemovedThemes(sectionPair.oldIndex);
+  });
+
+  before.forEach((section, i) => {
+    if (oldToNewSection.has(i)) return;
+    rows.push({
+      kind: "section",
+      status: DIFF_STATUS.REMOVED,
+      before: section.name,
+      after: null,
+    });
+    summary.sectionsRemoved++;
+    pushRemovedThemes(i);
+  });
+
+  return { rows, summary };
+}
+
+// Per-metric change between two evaluation results
+export function diffMetrics(beforeResult = {}, afterResult = {}) {
+  return REFERENCE_METRICS.filter(
+    (key) =>
+      typeof beforeResult?.[key] === "number" ||
+      typeof afterResult?.[key] === "number"
+  ).map((key) => {
+    const before = beforeResult?.[key] ?? null;
+    const after = afterResult?.[key] ?? null;
+    return {
+      key,
+      before,
+      after,
+      delta: before != null && after != null ? after - before : null,
+    };
+  });
+}
@@ -0,0 +1,207 @@
+// Course structure JSON schema utilities
+// Describes the structured answer requested from the LLM, validates it
+// and renders it back to the legacy plain-text format
+
+// Default work type labels a generated theme may carry; generation passes
+// the labels of the discipline's own work types instead
+export const STRUCTURE_WORK_TYPES = [
+  "лекция",
+  "лабораторная",
+  "практика",
+  "консультация",
+  "сро",
+];
+
+// JSON schema sent as response_format (strict mode: every field required)
+export function buildCourseStructureSchema(workTypes = STRUCTURE_WORK_TYPES) {
+  return {
+    type: "object",
+    properties: {
+      sections: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            themes: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string" },
+                  work_type: { type: "string", enum: workTypes },
+                  description: { type: ["string", "null"] },
+                },
+                required: ["name", "work_type", "description"],
+                additionalProperties: false,
+              },
+            },
+          },
+          required: ["name", "themes"],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ["sections"],
+    additionalProperties: false,
+  };
+}
+
+export const COURSE_STRUCTURE_SCHEMA = buildCourseStructureSchema();
+
+// Parse a model answer, tolerating ```json fences around the object
+export function parseStructureJson(text) {
+  const cleaned = (text || "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  try {
+    return { value: JSON.parse(cleaned), error: null };
+  } catch (error) {
+    return { value: null, error: `Ответ не является JSON: ${error.message}` };
+  }
+}
+
+// Validate against the schema built for `workTypes`, returns error messages
+export function validateCourseStructure(
+  value,
+  workTypes = STRUCTURE_WORK_TYPES
+) {
+  const errors = [];
+  const isNonEmptyString = (v) => typeof v === "string" && v.trim() !== "";
+
+  if (!value || typeof value !== "object" || !Array.isArray(value.sections)) {
+    return ["Ожидается объект с массивом sections"];
+  }
+
+  if (value.sections.length === 0) {
+    errors.push("sections: массив пуст");
+  }
+
+  value.sections.forEach((section, i) => {
+    const path = `sections[${i}]`;
+    if (!section || typeof section !== "object") {
+      errors.push(`${path}: ожидается объект`);
+      return;
+    }
+    if (!isNonEmptyString(section.name)) {
+      errors.push(`${path}.name: ожидается непустая строка`);
+    }
+    if (!Array.isArray(section.themes) || section.themes.length === 0) {
+      errors.push(`${path}.themes: ожидается непустой массив`);
+      return;
+    }
+
+    section.themes.forEach((theme, j) => {
+      const themePath = `${path}.themes[${j}]`;
+      if (!theme || typeof theme !== "object") {
+        errors.push(`${themePath}: ожидается объект`);
+        return;
+      }
+      if (!isNonEmptyString(theme.name)) {
+        errors.push(`${themePath}.name: ожидается непустая строка`);
+      }
+      if (!workTypes.includes(theme.work_type)) {
+        errors.push(
+          `${themePath}.work_type: "${
+            theme.work_type
+          }" не входит в ${workTypes.join(", ")}`
+        );
+      }
+      if (theme.description != null && typeof theme.description !== "string") {
+        errors.push(`${themePath}.description: ожидается строка или null`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Legacy text format: "1. Раздел\n - Тема (лекция)"
+export function renderStructureText(structure) {
+  return structure.sections
+    .map((section, index) => {
+      const themes = section.themes
+        .map((theme) => ` - ${theme.name.trim()} (${theme.work_type})`)
+        .join("\n");
+      return `${index + 1}. ${section.name.trim()}\n${themes}`;
+    })
+    .join("\n");
+}
+
+// Complexity score per section, used to weigh СРО hours
+export const CHAPTER_COMPLEXITY_RANGE = { min: 1, max: 5 };
+
+export const CHAPTER_COMPLEXITY_SCHEMA = {
+  type: "object",
+  properties: {
+    complexity: { type: "array", items: { type: "integer" } },
+  },
+  required: ["complexity"],
+  additionalProperties: false,
+};
+
+// One integer score in range for each of `count` sections
+export function validateChapterComplexity(value, count) {
+  const { min, max } = CHAPTER_COMPLEXITY_RANGE;
+  if (!value || !Array.isArray(value.complexity)) {
+    return ["Ожидается объект с массивом complexity"];
+  }
+  if (value.complexity.length !== count) {
+    return [
+      `complexity: ожидается ${count} оценок, получено ${value.complexity.length}`,
+    ];
+  }
+  return value.complexity
+    .map((score, i) =>
+      Number.isInteger(score) && score >= min && score <= max
+        ? null
+        : `complexity[${i}]: ожидается целое число от ${min} до ${max}`
+    )
+    .filter(Boolean);
+}
+
+// Themes the balancer asks for when a section is short of a work type
+export const FILLER_THEMES_SCHEMA = {
+  type: "object",
+  properties: {
+    themes: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          description: { type: ["string", "null"] },
+        },
+        required: ["name", "description"],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ["themes"],
+  additionalProperties: false,
+};
+
+// `count` non-empty themes that repeat neither each other nor `existing`
+export function validateFillerThemes(value, count, existing = []) {
+  if (!value || !Array.isArray(value.themes)) {
+    return ["Ожидается объект с массивом themes"];
+  }
+  if (value.themes.length !== count) {
+    return [`themes: ожидается ${count} тем, получено ${value.themes.length}`];
+  }
+
+  const seen = new Set(existing.map((name) => name.trim().toLowerCase()));
+  const errors = [];
+  value.themes.forEach((theme, i) => {
+    const name = typeof theme?.name === "string" ? theme.name.trim() : "";
+    if (!name) {
+      errors.push(`themes[${i}].name: ожидается непустая строка`);
+    } else if (seen.has(name.toLowerCase())) {
+      errors.push(`themes[${i}].name: тема «${name}» уже есть`);
+    }
+    seen.add(name.toLowerCase());
+  });
+  return errors;
+}
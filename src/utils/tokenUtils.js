@@ -19,16 +19,28 @@ export function parseJwt(token) {
   }
 }
 
-// Validate JWT token structure and extract ISU
+// A token expiring within this margin is treated as already expired,
+// so it does not run out in the middle of a multi-request operation
+export const TOKEN_EXPIRY_MARGIN_SECONDS = 60;
+
+// Seconds until `exp` (JWT seconds since epoch), null when there is no exp
+export function getTokenExpiresIn(exp, now = Date.now()) {
+  return typeof exp === "number" ? Math.floor(exp - now / 1000) : null;
+}
+
+// Validate JWT token structure and extract ISU and expiry
 export function validateToken(token) {
   try {
     const decoded = parseJwt(decodeURIComponent(token));
     if (!decoded) return { valid: false, error: "Invalid token format" };
 
+    const expiresIn = getTokenExpiresIn(decoded.exp);
     return {
       valid: true,
       isu: decoded.isu?.toString(),
       exp: decoded.exp,
+      expiresIn,
+      expired: expiresIn !== null && expiresIn <= TOKEN_EXPIRY_MARGIN_SECONDS,
     };
   } catch (error) {
     return { valid: false, error: error.message };
@@ -41,3 +53,10 @@ export function getISUFromToken(token) {
   const decoded = parseJwt(decodeURIComponent(token));
   return decoded?.isu?.toString() || null;
 }
+
+// Token that parses and is not about to expire
+export function isTokenUsable(token) {
+  if (!token) return false;
+  const validation = validateToken(token);
+  return validation.valid && !validation.expired;
+}
@@ -87,3 +87,15 @@ export async function fetchSimilarDisciplineStructure(name, token) {
 
   return await getCourseStructureFromId(id, token);
 }
+
+// 💾 Сохранение сгенерированного содержимого как файла (в окне расширения)
+export function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(
+    new Blob([content], { type: `${mimeType};charset=utf-8` })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
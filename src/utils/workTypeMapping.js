@@ -0,0 +1,142 @@
+// Work type mapping - theme labels ("лекция", "экзамен") and /info work types
+// Built-in labels are recognised by the stems of work type names; the
+// user-editable table in settings maps any other synonym to a
+// program_work_type_id and names work types the stems do not know
+
+// Built-in theme labels; `single` types (assessments, projects) are planned
+// as one theme that carries all of their hours
+export const BUILTIN_WORK_TYPES = {
+  лекция: { stems: ["лекци"], aliases: ["лекции"] },
+  лабораторная: {
+    stems: ["лабор"],
+    aliases: ["лаб", "лабораторные", "лабораторная работа"],
+  },
+  практика: {
+    stems: ["практ"],
+    aliases: ["практическая", "практики", "практическое занятие"],
+  },
+  консультация: { stems: ["консульт"], aliases: ["консультации"] },
+  "курсовой проект": {
+    stems: ["курсов"],
+    aliases: ["курсовая работа", "курсовая"],
+    single: true,
+  },
+  экзамен: { stems: ["экзамен"], aliases: [], single: true },
+  зачет: {
+    stems: ["зачет", "зачёт"],
+    aliases: ["дифференцированный зачет"],
+    single: true,
+  },
+  контроль: {
+    stems: ["контрол", "аттестац"],
+    aliases: ["контрольная работа", "промежуточная аттестация"],
+    single: true,
+  },
+  сро: {
+    stems: ["сро", "самостоятельн", "self", "independent"],
+    aliases: ["самостоятельная работа"],
+  },
+};
+
+export const SELF_STUDY_LABEL = "сро";
+
+export function normalizeLabel(label) {
+  return (label || "")
+    .toLowerCase()
+    .replace(/ё/g, "е")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function matchesStems(name, stems) {
+  const lower = (name || "").toLowerCase();
+  return stems.some((stem) => lower.includes(stem));
+}
+
+export function isSelfStudyWorkType(name) {
+  return matchesStems(name, BUILTIN_WORK_TYPES[SELF_STUDY_LABEL].stems);
+}
+
+// "курсовой проект, кп" → ["курсовой проект", "кп"]
+export function parseSynonyms(text) {
+  return (text || "").split(",").map(normalizeLabel).filter(Boolean);
+}
+
+// Rows of the settings table: [{ synonyms: "кп, курсовой проект", workTypeId }]
+export function validateWorkTypeMapping(rows) {
+  if (!Array.isArray(rows)) return ["Ожидается список строк"];
+
+  const errors = [];
+  rows.forEach((row, i) => {
+    if (parseSynonyms(row?.synonyms).length === 0) {
+      errors.push(`Строка ${i + 1}: укажите хотя бы одно название`);
+    }
+    if (!Number.isInteger(row?.workTypeId) || row.workTypeId <= 0) {
+      errors.push(`Строка ${i + 1}: ID типа работ — целое положительное число`);
+    }
+  });
+  return errors;
+}
+
+// Theme label for an /info work type: the first synonym of a mapping row
+// with its id, a built-in label whose stems match the name, or the name itself
+export function labelForWorkType(workType, mapping = []) {
+  const row = mapping.find(
+    (r) => r.workTypeId === Number(workType.program_work_type_id)
+  );
+  if (row && parseSynonyms(row.synonyms).length > 0) {
+    return parseSynonyms(row.synonyms)[0];
+  }
+
+  const builtin = Object.entries(BUILTIN_WORK_TYPES).find(([, type]) =>
+    matchesStems(workType.name, type.stems)
+  );
+  return builtin ? builtin[0] : normalizeLabel(workType.name);
+}
+
+// Work types with the theme label every later step matches themes by
+export function annotateWorkTypes(workTypes, mapping = []) {
+  return workTypes.map((wt) => ({
+    ...wt,
+    label: labelForWorkType(wt, mapping),
+  }));
+}
+
+// Whether a work type is planned as a single theme; a mapped synonym
+// keeps the behaviour of the built-in type its name belongs to
+export function isSingleThemeWorkType(workType) {
+  return [workType.label, labelForWorkType(workType)].some(
+    (label) => BUILTIN_WORK_TYPES[label]?.single
+  );
+}
+
+// /info work type for a theme label such as "лекция" ("Лекции"):
+// annotated label, mapping synonym, built-in alias or stems, in that order
+export function findWorkTypeForLabel(label, workTypes, mapping = []) {
+  const normalized = normalizeLabel(label);
+  if (!normalized) return null;
+
+  const byLabel = workTypes.find((wt) => wt.label === normalized);
+  if (byLabel) return byLabel;
+
+  const row = mapping.find((r) =>
+    parseSynonyms(r.synonyms).includes(normalized)
+  );
+  if (row) {
+    const mapped = workTypes.find(
+      (wt) => Number(wt.program_work_type_id) === row.workTypeId
+    );
+    if (mapped) return mapped;
+  }
+
+  const builtin = Object.entries(BUILTIN_WORK_TYPES).find(
+    ([name, type]) => name === normalized || type.aliases.includes(normalized)
+  );
+  if (!builtin) return null;
+
+  return (
+    workTypes.find((wt) => wt.label === builtin[0]) ||
+    workTypes.find((wt) => matchesStems(wt.name, builtin[1].stems)) ||
+    null
+  );
+}
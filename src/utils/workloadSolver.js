@@ -0,0 +1,346 @@
+// Workload solver - distributes the exact /info hours across chapters
+// Contact hours go to chapters in whole units of the configured granularity
+// (ITMO expects even hours, hence 2 by default) in proportion to the themes
+// of each type; self-study (СРО) hours are split hour by hour by the weight
+// of each chapter, except for the hours the user pinned to a chapter
+
+import {
+  isSelfStudyWorkType,
+  isSingleThemeWorkType,
+} from "./workTypeMapping.js";
+
+export const DEFAULT_HOURS_GRANULARITY = 2;
+export const HOURS_GRANULARITY_OPTIONS = [1, 2, 4];
+
+// What the СРО share of a chapter is proportional to
+export const SELF_STUDY_MODES = {
+  contact: "Контактные часы раздела",
+  themes: "Число тем раздела",
+  complexity: "Сложность раздела по оценке языковой модели",
+  even: "Поровну",
+};
+
+export const DEFAULT_SELF_STUDY_MODE = "contact";
+
+// Why a planned distribution differs from "granularity hours per theme"
+export const WORKLOAD_DEVIATIONS = {
+  // Hours are not a multiple of the granularity; the rest goes to one chapter
+  REMAINDER: "remainder",
+  // The type has hours but no themes; hours are spread over all chapters
+  NO_THEMES: "noThemes",
+  // Number of themes differs from hours / granularity
+  THEME_COUNT: "themeCount",
+  // Nothing to distribute the hours to
+  NO_CHAPTERS: "noChapters",
+  // СРО pinned to chapters cannot add up to the total; pins are ignored
+  PINS: "pins",
+  // Chapters that are kept already have more hours than /info
+  OVERBOOKED: "overbooked",
+};
+
+export function resolveGranularity(value) {
+  const granularity = parseInt(value, 10);
+  return HOURS_GRANULARITY_OPTIONS.includes(granularity)
+    ? granularity
+    : DEFAULT_HOURS_GRANULARITY;
+}
+
+export function resolveSelfStudyMode(value) {
+  return SELF_STUDY_MODES[value] ? value : DEFAULT_SELF_STUDY_MODE;
+}
+
+// Themes expected for a type: one per granularity unit, at least one
+export function themeCountForHours(hours, granularity) {
+  if (!(hours > 0)) return 0;
+  return Math.max(1, Math.floor(hours / granularity));
+}
+
+// Assessments and projects are planned as a single theme
+export function expectedThemeCount(workType, granularity) {
+  if (!(workType.hours > 0)) return 0;
+  return isSingleThemeWorkType(workType)
+    ? 1
+    : themeCountForHours(workType.hours, granularity);
+}
+
+// Splits whole units by weights with the largest remainder method;
+// ties go to the earlier index, zero weights everywhere mean equal shares
+export function distributeUnits(units, weights) {
+  const shares = weights.map(() => 0);
+  if (units <= 0 || weights.length === 0) return shares;
+
+  const effective = weights.some((w) => w > 0) ? weights : weights.map(() => 1);
+  const total = effective.reduce((sum, w) => sum + w, 0);
+  const exact = effective.map((w) => (units * w) / total);
+
+  exact.forEach((value, i) => {
+    shares[i] = Math.floor(value);
+  });
+
+  let rest = units - shares.reduce((sum, share) => sum + share, 0);
+  const order = exact
+    .map((value, i) => ({ i, fraction: value - shares[i] }))
+    .sort((a, b) => b.fraction - a.fraction || a.i - b.i);
+  for (let k = 0; rest > 0; k++, rest--) {
+    shares[order[k % order.length].i] += 1;
+  }
+
+  return shares;
+}
+
+// A remainder only matters when themes of the type end up with different
+// hours; a single theme (an exam, 3 ч) simply takes all of them
+function splitsThemesUnevenly(workType, chapters, themeCounts) {
+  if (isSingleThemeWorkType(workType)) return false;
+  const id = workType.program_work_type_id;
+  const perTheme = themeCounts.flatMap((count, i) =>
+    count > 0 ? [Math.round((chapters[i][id] * 1000) / count)] : []
+  );
+  return new Set(perTheme).size > 1;
+}
+
+// Weight of every chapter in the СРО split. Complexity needs a positive
+// score for each chapter, otherwise contact hours are used instead
+function selfStudyWeights(mode, chapters, chapterThemeCounts, complexity) {
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  switch (mode) {
+    case "themes":
+      return chapterThemeCounts.map((counts) => sum(Object.values(counts)));
+    case "complexity":
+      if (chapters.every((_, i) => complexity?.[i] > 0)) {
+        return chapters.map((_, i) => complexity[i]);
+      }
+      return null;
+    case "even":
+      return chapters.map(() => 1);
+    default:
+      return chapters.map((hours) => sum(Object.values(hours)));
+  }
+}
+
+// Pinned hours per chapter: whole non-negative numbers, anything else is auto
+function normalizePins(pins, length) {
+  return Array.from({ length }, (_, i) =>
+    Number.isInteger(pins?.[i]) && pins[i] >= 0 ? pins[i] : null
+  );
+}
+
+// workTypes: /info work types; chapterThemeCounts: one object per chapter,
+// { [program_work_type_id]: themes of that type }.
+// selfStudy: { mode, complexity: [score per chapter], pins: [hours or null
+// per chapter] }; pins apply to the first СРО type with hours.
+// kept: { [program_work_type_id]: hours } of existing chapters that stay
+// (append and merge); only the rest of the /info hours is distributed.
+// Returns hours per chapter and type that, with the kept hours, sum exactly
+// to the /info totals, a row per work type, the deviations that could not
+// be avoided and the СРО split per chapter
+export function solveWorkload(
+  workTypes,
+  chapterThemeCounts,
+  granularity = DEFAULT_HOURS_GRANULARITY,
+  selfStudy = {},
+  kept = {}
+) {
+  const chapters = chapterThemeCounts.map(() => ({}));
+  const totals = [];
+  const deviations = [];
+  const requestedMode = resolveSelfStudyMode(selfStudy.mode);
+  const pins = normalizePins(selfStudy.pins, chapters.length);
+  const split = {
+    mode: requestedMode,
+    requestedMode,
+    hours: chapters.map(() => 0),
+    pinned: chapters.map(() => false),
+  };
+
+  const plans = workTypes
+    .filter((wt) => wt.hours > 0)
+    .map((wt) => {
+      const id = wt.program_work_type_id;
+      const isSelfStudy = isSelfStudyWorkType(wt.name);
+      const themeCounts = chapterThemeCounts.map((counts) => counts[id] || 0);
+      const themes = themeCounts.reduce((sum, count) => sum + count, 0);
+      const keptHours = kept[id] || 0;
+      const hours = Math.max(wt.hours - keptHours, 0);
+      const row = {
+        id,
+        name: wt.name,
+        target: wt.hours,
+        kept: keptHours,
+        planned: keptHours,
+        selfStudy: isSelfStudy,
+        themes,
+        expectedThemes: isSelfStudy
+          ? null
+          : expectedThemeCount({ ...wt, hours }, granularity),
+      };
+      totals.push(row);
+      return { wt, row, themeCounts, hours };
+    });
+
+  const deviation = (wt, kind, extra = {}) =>
+    deviations.push({
+      workTypeId: wt.program_work_type_id,
+      name: wt.name,
+      kind,
+      ...extra,
+    });
+
+  // Hours of kept chapters beyond /info cannot be taken back by new ones
+  Object.entries(kept).forEach(([id, hours]) => {
+    const wt = workTypes.find((w) => String(w.program_work_type_id) === id);
+    const excess = hours - (wt?.hours || 0);
+    if (excess > 0) {
+      deviation(
+        wt || { program_work_type_id: Number(id), name: `Тип работ ${id}` },
+        WORKLOAD_DEVIATIONS.OVERBOOKED,
+        { hours: excess }
+      );
+    }
+  });
+
+  // Contact types first: the СРО split may depend on their hours
+  plans
+    .filter(({ row, hours }) => !row.selfStudy && hours > 0)
+    .forEach(({ wt, row, themeCounts, hours }) => {
+      const id = wt.program_work_type_id;
+      if (chapters.length === 0) {
+        deviation(wt, WORKLOAD_DEVIATIONS.NO_CHAPTERS, { hours });
+        return;
+      }
+
+      if (row.themes === 0) {
+        deviation(wt, WORKLOAD_DEVIATIONS.NO_THEMES, { hours });
+      } else if (row.themes !== row.expectedThemes) {
+        deviation(wt, WORKLOAD_DEVIATIONS.THEME_COUNT, {
+          themes: row.themes,
+          expected: row.expectedThemes,
+        });
+      }
+
+      const units = Math.floor(hours / granularity);
+      distributeUnits(units, themeCounts).forEach((share, i) => {
+        if (share > 0) chapters[i][id] = share * granularity;
+      });
+
+      const remainder = hours - units * granularity;
+      if (remainder > 0) {
+        const heaviest = themeCounts.indexOf(Math.max(...themeCounts));
+        const index = Math.max(heaviest, 0);
+        chapters[index][id] = (chapters[index][id] || 0) + remainder;
+        if (splitsThemesUnevenly(wt, chapters, themeCounts)) {
+          deviation(wt, WORKLOAD_DEVIATIONS.REMAINDER, {
+            chapterIndex: index,
+            hours: remainder,
+          });
+        }
+      }
+
+      row.planned += hours;
+    });
+
+  // Weights are taken before any СРО is placed, so only contact hours count
+  let weights = selfStudyWeights(
+    requestedMode,
+    chapters,
+    chapterThemeCounts,
+    selfStudy.complexity
+  );
+  if (!weights) {
+    split.mode = DEFAULT_SELF_STUDY_MODE;
+    weights = selfStudyWeights(split.mode, chapters, chapterThemeCounts);
+  }
+
+  plans
+    .filter(({ row, hours }) => row.selfStudy && hours > 0)
+    .forEach(({ wt, row, hours }, typeIndex) => {
+      const id = wt.program_work_type_id;
+      if (chapters.length === 0) {
+        deviation(wt, WORKLOAD_DEVIATIONS.NO_CHAPTERS, { hours });
+        return;
+      }
+
+      const shares = chapters.map(() => 0);
+      const free = chapters.map((_, i) => i);
+      let rest = hours;
+
+      if (typeIndex === 0 && pins.some((pin) => pin !== null)) {
+        const pinned = pins.reduce((sum, pin) => sum + (pin || 0), 0);
+        const unpinned = free.filter((i) => pins[i] === null);
+        if (pinned > hours || (unpinned.length === 0 && pinned !== hours)) {
+          deviation(wt, WORKLOAD_DEVIATIONS.PINS, {
+            pinned,
+            hours,
+          });
+        } else {
+          pins.forEach((pin, i) => {
+            if (pin === null) return;
+            shares[i] = pin;
+            split.pinned[i] = true;
+          });
+          free.splice(0, free.length, ...unpinned);
+          rest -= pinned;
+        }
+      }
+
+      distributeUnits(
+        rest,
+        free.map((i) => weights[i])
+      ).forEach((share, k) => {
+        shares[free[k]] += share;
+      });
+
+      shares.forEach((share, i) => {
+        if (share > 0) chapters[i][id] = share;
+        split.hours[i] += share;
+      });
+
+      row.planned += hours;
+    });
+
+  return { granularity, chapters, totals, deviations, selfStudy: split };
+}
+
+// Deviations that editing the structure can fix (neither a remainder nor
+// hours of chapters that are kept can be)
+export function isFixableDeviation(deviation) {
+  return ![
+    WORKLOAD_DEVIATIONS.REMAINDER,
+    WORKLOAD_DEVIATIONS.OVERBOOKED,
+  ].includes(deviation.kind);
+}
+
+export function describeDeviation(deviation, granularity) {
+  switch (deviation.kind) {
+    case WORKLOAD_DEVIATIONS.REMAINDER:
+      return `${deviation.name}: ${
+        deviation.hours
+      } ч не делятся на ${granularity} и добавлены в раздел ${
+        deviation.chapterIndex + 1
+      }`;
+    case WORKLOAD_DEVIATIONS.NO_THEMES:
+      return `${deviation.name}: нет тем этого типа, ${deviation.hours} ч распределены по всем разделам`;
+    case WORKLOAD_DEVIATIONS.THEME_COUNT:
+      return `${deviation.name}: ${deviation.themes} тем вместо ${deviation.expected}, часы на тему будут неравными`;
+    case WORKLOAD_DEVIATIONS.NO_CHAPTERS:
+      return `${deviation.name}: нет разделов, ${deviation.hours} ч не распределены`;
+    case WORKLOAD_DEVIATIONS.OVERBOOKED:
+      return `${deviation.name}: у существующих разделов на ${deviation.hours} ч больше, чем по /info`;
+    case WORKLOAD_DEVIATIONS.PINS:
+      return `${deviation.name}: закреплено ${deviation.pinned} ч из ${deviation.hours}, закрепления не учтены`;
+    default:
+      return deviation.name;
+  }
+}
+
+// "СРО по разделам (контактные часы): 1. 12 ч · 2. 14 ч 📌"
+export function describeSelfStudySplit(split) {
+  if (!split || split.hours.length === 0) return "";
+  const mode = SELF_STUDY_MODES[split.mode].toLowerCase();
+  return `СРО по разделам (${mode}${
+    split.mode !== split.requestedMode ? ", оценка сложности недоступна" : ""
+  }): ${split.hours
+    .map((hours, i) => `${i + 1}. ${hours} ч${split.pinned[i] ? " 📌" : ""}`)
+    .join(" · ")}`;
+}